@@ -0,0 +1,223 @@
+// HTTP transport built on the standard fetch API, for modern browsers and Node
+// 18+. Like CuriousXhr, requests have chainable success(cb) and error(cb)
+// methods, with callbacks getting the parsed response and the HTTP status; each
+// request is also a Promise of the parsed response.
+//
+
+(function(){
+
+  // Options, given to CuriousFetch.with_options or per request:
+  //
+  //   headers       - extra request headers
+  //   credentials   - fetch credentials mode: 'omit', 'same-origin' or
+  //                   'include'
+  //   content_type  - Content-Type of request bodies, default
+  //                   'application/json'
+  //   params        - query string parameters
+  //   timeout       - milliseconds before an attempt is given up on
+  //   signal        - AbortSignal; aborting it aborts the request
+  //   retry         - retry policy options, see curious-retry.js
+  //   fetch         - fetch function to use instead of the global one
+  //
+  // A failed request rejects its promise with an Error that has the status
+  // and response, and timed_out or cancelled set where they apply. An aborted
+  // request calls neither callback.
+
+  function merge_options(a, b) {
+    var r = {};
+    var k;
+    for (k in a) { r[k] = a[k]; }
+    for (k in b) {
+      if (k === 'headers') { r.headers = merge_options(a.headers, b.headers); }
+      else { r[k] = b[k]; }
+    }
+    return r;
+  }
+
+  // curious2.js, for the helpers in CuriousTransport; see curious-xhr.js
+  function curious2() {
+    if (typeof window !== 'undefined' && window.CuriousTransport) { return window; }
+    if (typeof exports !== 'undefined' && exports && typeof require === 'function') {
+      return require('./curious2.js');
+    }
+    throw("Load curious2.js before using curious-fetch.js");
+  }
+
+  function request_error(message, status, response) {
+    var e = new Error(message);
+    e.name = 'CuriousHttpError';
+    e.status = status;
+    e.response = response;
+    e.timed_out = false;
+    e.cancelled = false;
+    return e;
+  }
+
+  function CuriousFetch(defaults) {
+    defaults = defaults || {};
+
+    function _request(method, url, data, options) {
+      var success_cb = null;
+      var error_cb = null;
+      var aborted = false;
+      var timed_out = false;
+      var resolve_p, reject_p;
+      var fetch_f, init, qs, headers, k, handle, p, helpers;
+
+      // the signal's listener returns nothing: Node's EventTarget would take a
+      // returned rejected promise for an uncaught exception
+      var on_signal = function() { abort(); };
+
+      options = merge_options(defaults, options || {});
+      fetch_f = options.fetch || fetch;
+      helpers = curious2().CuriousTransport;
+
+      qs = helpers.query_string(options.params);
+      if (qs) {
+        url += (url.indexOf('?') > 0 ? '&' : '?') + qs;
+      }
+
+      headers = {};
+      for (k in options.headers) { headers[k] = options.headers[k]; }
+      init = {method: method, headers: headers};
+      if ((method === 'POST' || method === 'PUT') && data) {
+        headers['Content-Type'] = options.content_type || 'application/json';
+        init.body = JSON.stringify(data);
+      }
+      if (options.credentials) { init.credentials = options.credentials; }
+
+      p = new Promise(function(resolve, reject) { resolve_p = resolve; reject_p = reject; });
+      // callers using only success/error should not see unhandled rejections
+      p.catch(function() {});
+
+      function send(done) {
+        var controller = new AbortController();
+        var timer = null;
+
+        timed_out = false;
+        if (options.timeout) {
+          timer = setTimeout(function() { timed_out = true; controller.abort(); }, options.timeout);
+        }
+        init.signal = controller.signal;
+
+        // done is called outside of the promise chain, so that an exception
+        // thrown by a callback is not taken for a network error
+        fetch_f(url, init).then(function(res) {
+          return res.text().then(function(text) { return {res: res, text: text}; });
+        }).then(function(r) {
+          if (timer !== null) { clearTimeout(timer); }
+          setTimeout(function() {
+            done(r.res.ok, helpers.parse_response(r.text), r.res.status,
+                 r.res.headers.get('Retry-After'));
+          }, 0);
+        }, function(e) {
+          var message = timed_out ? 'Request timed out' : (e && e.message) || String(e);
+          if (timer !== null) { clearTimeout(timer); }
+          setTimeout(function() { done(false, message, null, null); }, 0);
+        });
+
+        return {
+          abort: function() {
+            if (timer !== null) { clearTimeout(timer); }
+            controller.abort();
+          }
+        };
+      }
+
+      // stop listening to the signal once the request is over
+      function detach() {
+        if (options.signal && options.signal.removeEventListener) {
+          options.signal.removeEventListener('abort', on_signal);
+        }
+      }
+
+      function finish(ok, r, status) {
+        var e;
+        if (aborted) { return; }
+        detach();
+        if (ok) {
+          resolve_p(r);
+          if (success_cb) { success_cb(r, status); }
+        }
+        else {
+          e = request_error(typeof r === 'string' && r !== '' ? r :
+                            (r && typeof r.error === 'string') ? r.error :
+                            'Request failed with status '+status, status, r);
+          e.timed_out = timed_out;
+          reject_p(e);
+          if (error_cb) { error_cb(r, status); }
+        }
+      }
+
+      function abort() {
+        var e;
+        if (aborted) { return p; }
+        aborted = true;
+        detach();
+        handle.abort();
+        e = request_error('Request aborted', null, null);
+        e.cancelled = true;
+        reject_p(e);
+        return p;
+      }
+
+      handle = options.retry ? helpers.retry(options.retry).run(send, finish) : send(finish);
+
+      if (options.signal) {
+        if (options.signal.aborted) { abort(); }
+        else { options.signal.addEventListener('abort', on_signal); }
+      }
+
+      p.success = function(cb) {
+        success_cb = cb;
+        return p;
+      };
+
+      p.error = function(cb) {
+        error_cb = cb;
+        return p;
+      };
+
+      // abort the request; neither callback will be called
+      p.abort = abort;
+
+      return p;
+    }
+
+    function post(url, data, options) {
+      return _request('POST', url, data, options);
+    }
+
+    function put(url, data, options) {
+      return _request('PUT', url, data, options);
+    }
+
+    function get(url, options) {
+      return _request('GET', url, null, options);
+    }
+
+    // a copy of this transport with different default options
+    function with_options(options) {
+      return CuriousFetch(merge_options(defaults, options));
+    }
+
+    // a copy of this transport that retries failed requests
+    function with_retry(options) {
+      return with_options({retry: options});
+    }
+
+    return {
+      post: post,
+      put: put,
+      get: get,
+      with_options: with_options,
+      with_retry: with_retry
+    };
+  }
+
+  var ex = undefined;
+  if (typeof exports !== 'undefined' && exports) { ex = exports; }
+  else if (typeof window !== 'undefined') { ex = window; }
+  ex.CuriousFetch = CuriousFetch();
+
+})();
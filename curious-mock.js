@@ -0,0 +1,285 @@
+// In-memory stand-in for a Curious server, for testing code built on CuriousQ
+// without a backend. CuriousMockHttp() returns an object that can be passed to
+// CuriousQ wherever CuriousXhr or request-http.js is used. It needs
+// curious2.js, loaded before it on pages without a module system.
+//
+
+(function(){
+
+  // Options:
+  //
+  //   mode      - 'mock' (default) serves only canned responses and fixtures,
+  //               and answers other requests with a 404; 'replay' does the
+  //               same, but every request is expected to have a recorded
+  //               fixture, and verify() fails on requests that had none;
+  //               'record' sends other requests to options.http and records
+  //               the responses as fixtures.
+  //   http      - the real transport, for record mode
+  //   fixtures  - fixtures to serve, as returned by fixtures()
+  //   delay     - milliseconds before responses are delivered, default 0
+  //
+  // Canned responses are added with respond(query, response, options):
+  //
+  //   mock.respond('Experiment(id=12)', {result: {data: [...], results: [...]}});
+  //   mock.respond('Experiment(id=13)', {error: 'Not found'}, {status: 404});
+  //   mock.respond(/^Experiment/, function(args) { return {result: ...}; });
+  //
+  // query is a query string, a RegExp or a function(query, args) returning
+  // whether it matches; response is the response body or a function of the
+  // request args returning one. options are status (default 200), params
+  // (args that must also match), times (serve only this many times) and
+  // method, 'POST' (default) for queries or 'PUT' for saving objects, as
+  // CuriousQ's save() does. For PUT requests query is matched against the
+  // URL instead:
+  //
+  //   mock.respond('/experiments/12', {id: 12, name: 'Saved'}, {method: 'PUT'});
+  //
+  // Later responses take precedence over earlier ones, and canned responses
+  // over fixtures.
+  //
+  // Fixtures are keyed by the method, the URL of PUT requests, the query and
+  // all other args of a request, so replaying needs requests identical to the
+  // recorded ones. In replay mode, verify() throws if any request had no
+  // fixture, or any fixture was never requested.
+
+  // curious2.js, for CuriousCache.key; see curious-xhr.js
+  function curious2() {
+    if (typeof window !== 'undefined' && window.CuriousTransport) { return window; }
+    if (typeof exports !== 'undefined' && exports && typeof require === 'function') {
+      return require('./curious2.js');
+    }
+    throw("Load curious2.js before curious-mock.js");
+  }
+
+  // the args alone for POSTs, which are queries; [method, url, args] for
+  // other methods
+  function fixture_key(method, url, args) {
+    var key = curious2().CuriousCache.key(args);
+    return method === 'POST' ? key : '['+JSON.stringify(method)+','+JSON.stringify(url)+','+key+']';
+  }
+
+  function query_matches(query, q, args) {
+    if (typeof query === 'string') { return query === q; }
+    if (query instanceof RegExp) { return query.test(q); }
+    return !!query(q, args);
+  }
+
+  function params_match(params, args) {
+    for (var k in params) {
+      if (params.hasOwnProperty(k) && String(params[k]) !== String(args[k])) { return false; }
+    }
+    return true;
+  }
+
+  function copy(x) {
+    return x === undefined ? x : JSON.parse(JSON.stringify(x));
+  }
+
+  function CuriousMockHttp(options) {
+    var mode, real_http, delay;
+    var responses = [];
+    var fixtures = {};
+    var requests = [];
+    var used = {};     // fixture keys requested so far
+    var missing = [];  // requests without a fixture, in replay mode
+
+    options = options || {};
+    mode = options.mode || 'mock';
+    real_http = options.http || null;
+    delay = options.delay || 0;
+
+    if (mode !== 'mock' && mode !== 'record' && mode !== 'replay')
+      throw("Unknown mock mode: "+mode);
+    if (mode === 'record' && !real_http)
+      throw("Record mode needs a real http transport");
+
+    load(options.fixtures);
+
+    function respond(query, response, response_options) {
+      response_options = response_options || {};
+      responses.unshift({
+        query: query,
+        response: response,
+        status: response_options.status || 200,
+        params: response_options.params || null,
+        times: response_options.times === undefined ? null : response_options.times,
+        method: (response_options.method || 'POST').toUpperCase()
+      });
+      return this;
+    }
+
+    function find_response(method, url, args) {
+      var key = fixture_key(method, url, args);
+      var f;
+      for (var i=0; i<responses.length; i++) {
+        var r = responses[i];
+        if (r.method !== method) { continue; }
+        if (r.times !== null && r.times <= 0) { continue; }
+        if (!query_matches(r.query, method === 'POST' ? args.q : url, args)) { continue; }
+        if (r.params && !params_match(r.params, args)) { continue; }
+        if (r.times !== null) { r.times--; }
+        return {
+          status: r.status,
+          response: typeof r.response === 'function' ? r.response(copy(args)) : copy(r.response)
+        };
+      }
+      f = fixtures[key];
+      if (f) {
+        used[key] = true;
+        return {status: f.status, response: copy(f.response)};
+      }
+      return null;
+    }
+
+    function request(method, url, args, config) {
+      var success_cb = null;
+      var error_cb = null;
+      var aborted = false;
+      var timer = null;
+      var real_req = null;
+      var found, what;
+
+      function finish(status, response) {
+        if (aborted) { return; }
+        if (status >= 200 && status < 300) {
+          if (success_cb) { success_cb(response, status); }
+        }
+        else if (error_cb) { error_cb(response, status); }
+      }
+
+      requests.push({method: method, url: url, args: copy(args), headers: (config && config.headers) || {}});
+      found = find_response(method, url, args);
+
+      if (found) {
+        timer = setTimeout(function() { finish(found.status, found.response); }, delay);
+      }
+      else if (mode === 'record') {
+        if (typeof real_http[method.toLowerCase()] !== 'function')
+          throw("Real http transport cannot send "+method+" requests");
+        real_req = config ? real_http[method.toLowerCase()](url, args, config)
+                          : real_http[method.toLowerCase()](url, args);
+        real_req = real_req.success(function(resp, status) {
+          record(method, url, args, status || 200, resp);
+          finish(status || 200, resp);
+        });
+        if (real_req && typeof real_req.error === 'function') {
+          real_req = real_req.error(function(resp, status) {
+            if (status) { record(method, url, args, status, resp); }
+            finish(status || 0, resp);
+          });
+        }
+      }
+      else {
+        what = method === 'POST' ? 'query '+args.q : method+' '+url;
+        if (mode === 'replay') { missing.push(what); }
+        timer = setTimeout(function() {
+          var msg = 'No mock response for '+what;
+          if (mode === 'replay') { msg = 'No recorded fixture for '+what; }
+          finish(404, {error: msg});
+        }, delay);
+      }
+
+      function success(cb) {
+        success_cb = cb;
+        return this;
+      }
+
+      function error(cb) {
+        error_cb = cb;
+        return this;
+      }
+
+      // abort the request; neither callback will be called
+      function abort() {
+        aborted = true;
+        if (timer !== null) { clearTimeout(timer); }
+        if (real_req && typeof real_req.abort === 'function') { real_req.abort(); }
+        return this;
+      }
+
+      return { success: success, error: error, abort: abort };
+    }
+
+    function post(url, args, config) {
+      return request('POST', url, args, config);
+    }
+
+    function put(url, args, config) {
+      return request('PUT', url, args, config);
+    }
+
+    function record(method, url, args, status, response) {
+      var key = fixture_key(method, url, args);
+      fixtures[key] = {method: method, url: url, args: copy(args), status: status, response: copy(response)};
+      used[key] = true;
+    }
+
+    // fixtures recorded or loaded so far, as a JSON serializable object
+    function get_fixtures() {
+      return copy(fixtures);
+    }
+
+    function load(f) {
+      for (var k in f) {
+        if (f.hasOwnProperty(k)) { fixtures[k] = copy(f[k]); }
+      }
+      return this;
+    }
+
+    // Node only: write fixtures to, and read them from, a JSON file
+    function save_file(path) {
+      require('fs').writeFileSync(path, JSON.stringify(fixtures, null, 2)+'\n');
+      return this;
+    }
+
+    function load_file(path) {
+      load(JSON.parse(require('fs').readFileSync(path, 'utf8')));
+      return this;
+    }
+
+    // Replay mode: throws if a request had no recorded fixture, or a fixture
+    // was never requested, so a test notices when the recording is out of date
+    function verify() {
+      var unused = [];
+      if (mode !== 'replay') { return this; }
+      for (var k in fixtures) {
+        if (fixtures.hasOwnProperty(k) && !used[k]) {
+          unused.push(fixtures[k].method && fixtures[k].method !== 'POST' ?
+                      fixtures[k].method+' '+fixtures[k].url : 'query '+fixtures[k].args.q);
+        }
+      }
+      if (missing.length > 0)
+        throw("Requests without a recorded fixture: "+missing.join('; '));
+      if (unused.length > 0)
+        throw("Recorded fixtures never requested: "+unused.join('; '));
+      return this;
+    }
+
+    function reset() {
+      responses = [];
+      requests.length = 0;
+      used = {};
+      missing = [];
+      return this;
+    }
+
+    return {
+      post: post,
+      put: put,
+      verify: verify,
+      respond: respond,
+      requests: requests,
+      fixtures: get_fixtures,
+      load_fixtures: load,
+      save_fixtures_file: save_file,
+      load_fixtures_file: load_file,
+      reset: reset
+    };
+  }
+
+  var ex = undefined;
+  if (typeof exports !== 'undefined' && exports) { ex = exports; }
+  else if (typeof window !== 'undefined') { ex = window; }
+  ex.CuriousMockHttp = CuriousMockHttp;
+
+})();
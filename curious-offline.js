@@ -0,0 +1,433 @@
+// Offline persistence for Curious queries. CuriousOffline(http, options) wraps
+// a transport such as CuriousXhr: responses to requests are kept in a
+// persistent storage, and when the network is down, requests are answered
+// with the stored responses instead of failing. The wrapper can be passed to
+// CuriousQ wherever the transport itself is used. It needs curious2.js,
+// loaded before it on pages without a module system.
+//
+//   var http = CuriousOffline(CuriousXhr, {storage: CuriousOffline.indexeddb_storage('curious')});
+//   var clt = CuriousQ('/curious/q', http);
+//
+// A stored response is a Curious response, so queries parse it into objects
+// as usual; its result has offline set to true and stored_at to the time it
+// was stored, in milliseconds. The objects parsed from it have the same two
+// properties, not enumerable, so promise() callers can check objects.offline
+// too. Responses are stored rather than the objects
+// parsed from them: parsing again gives objects built with the client's
+// current models, schemas and identity map, and a response is plain JSON
+// that any storage can keep, where objects have cycles and Dates.
+//
+// Stale responses are fetched again in the background once the network is
+// back, and on_revalidated is called for each, so the application can run
+// its queries again.
+//
+
+(function(){
+
+  // Options:
+  //
+  //   storage         - where responses are kept, see the storages below.
+  //                     Default memory_storage().
+  //   max_age         - milliseconds a stored response can be served for;
+  //                     null (default) for no limit
+  //   is_offline      - function returning whether the network is known to be
+  //                     down, so requests are not even tried. Default checks
+  //                     navigator.onLine where there is one.
+  //   retry_interval  - milliseconds between attempts to fetch stale
+  //                     responses again, default 30000. Attempts are also
+  //                     made on the browser's online event.
+  //   on_revalidated  - called with {url, args, response} when a stale
+  //                     response has been fetched again
+  //   partition       - string, or function(url, args, config) returning
+  //                     one, naming whose responses a request gets, e.g. the
+  //                     id of the signed in user. Default a hash of the
+  //                     request headers.
+  //   max_entries     - number of responses kept; the oldest are removed
+  //                     first. Default 500; null for no limit.
+  //
+  // Only requests that get no response at all are answered from storage; HTTP
+  // errors from the server are passed on. Requests are matched to stored
+  // responses by partition, URL and args. With the default partition, a
+  // request gets only responses stored for the same headers, so one user's
+  // responses are not served to another; since a new auth token then misses
+  // the responses stored with the old one, apps should pass their own.
+  // Responses are given to the caller before they are stored.
+  //
+  // put and get, where the transport has them, go straight to it: saves and
+  // other requests are neither stored nor answered from storage.
+
+  // curious2.js, for CuriousCache.key and headers_key; see curious-xhr.js
+  function curious2() {
+    if (typeof window !== 'undefined' && window.CuriousTransport) { return window; }
+    if (typeof exports !== 'undefined' && exports && typeof require === 'function') {
+      return require('./curious2.js');
+    }
+    throw("Load curious2.js before curious-offline.js");
+  }
+
+  // [partition, url, args], or [url, args] when the partition is null, as it
+  // is for requests without headers under the default partition
+  function storage_key(partition, url, args) {
+    var key = '['+JSON.stringify(url)+','+curious2().CuriousCache.key(args)+']';
+    return partition === null ? key : '['+JSON.stringify(partition)+','+key.substring(1);
+  }
+
+  // a short hash of the request headers, so they are not kept in the clear
+  function headers_partition(url, args, config) {
+    return curious2().CuriousCache.headers_key(config && config.headers);
+  }
+
+  function copy(x) {
+    return x === undefined ? x : JSON.parse(JSON.stringify(x));
+  }
+
+  function default_is_offline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+
+  function CuriousOffline(http, options) {
+    var storage, max_age, is_offline, retry_interval, on_revalidated, partition, max_entries;
+    var stale = {};  // key to {url, args, config} of responses served from storage
+    var times = null;  // Promise of the key to time stored of every entry, for eviction
+    var timer = null;
+    var listening = false;
+
+    options = options || {};
+    storage = options.storage || CuriousOffline.memory_storage();
+    max_age = options.max_age === undefined ? null : options.max_age;
+    is_offline = options.is_offline || default_is_offline;
+    retry_interval = options.retry_interval === undefined ? 30000 : options.retry_interval;
+    on_revalidated = options.on_revalidated || null;
+    partition = options.partition === undefined ? headers_partition : options.partition;
+    max_entries = options.max_entries === undefined ? 500 : options.max_entries;
+
+    function send(url, args, config) {
+      return config ? http.post(url, args, config) : http.post(url, args);
+    }
+
+    function key_of(url, args, config) {
+      var p = typeof partition === 'function' ? partition(url, args, config) : partition;
+      return storage_key(p === undefined ? null : p, url, args);
+    }
+
+    // times of the entries, read from the storage the first time
+    function entry_times() {
+      if (times === null) {
+        times = Promise.resolve(storage.keys()).then(function(keys) {
+          return Promise.all(keys.map(function(k) {
+            return Promise.resolve(storage.get(k)).then(function(e) { return [k, e ? e.time : 0]; });
+          }));
+        }).then(function(pairs) {
+          var t = {};
+          for (var i=0; i<pairs.length; i++) { t[pairs[i][0]] = pairs[i][1]; }
+          return t;
+        });
+      }
+      return times;
+    }
+
+    // removes the oldest entries beyond max_entries
+    function evict(key, time) {
+      if (max_entries === null) { return Promise.resolve(); }
+      return entry_times().then(function(t) {
+        var keys;
+        t[key] = time;
+        keys = Object.keys(t);
+        if (keys.length <= max_entries) { return; }
+        keys.sort(function(a, b) { return t[a] - t[b]; });
+        return Promise.all(keys.slice(0, keys.length-max_entries).map(function(k) {
+          delete t[k];
+          return storage.remove(k);
+        }));
+      });
+    }
+
+    function remove(key) {
+      if (times !== null) { times.then(function(t) { delete t[key]; }); }
+      return Promise.resolve(storage.remove(key)).catch(function() {});
+    }
+
+    // The entry is made right away, so the caller can go on with the response
+    // while it is written. A storage failure should not fail the request.
+    function store(key, url, args, resp, status) {
+      var entry = {url: url, args: copy(args), response: copy(resp), status: status || 200,
+                   time: (new Date()).getTime()};
+      return Promise.resolve(storage.set(key, entry)).then(function() {
+        return evict(key, entry.time);
+      }).catch(function() {});
+    }
+
+    function schedule() {
+      if (timer !== null || Object.keys(stale).length === 0) { return; }
+      timer = setTimeout(function() {
+        timer = null;
+        revalidate();
+      }, retry_interval);
+      if (timer.unref) { timer.unref(); }
+
+      if (!listening && typeof window !== 'undefined' && window.addEventListener) {
+        window.addEventListener('online', revalidate);
+        listening = true;
+      }
+    }
+
+    function post(url, args, config) {
+      var success_cb = null;
+      var error_cb = null;
+      var aborted = false;
+      var key = key_of(url, args, config);
+      var req = null;
+
+      // answers from storage, or else with the error the network gave
+      function serve_stored(resp, status) {
+        Promise.resolve(storage.get(key)).catch(function() { return null; }).then(function(entry) {
+          var r;
+          if (aborted) { return; }
+          if (!entry || (max_age !== null && (new Date()).getTime() - entry.time > max_age)) {
+            if (entry) { remove(key); }
+            if (error_cb) { error_cb(resp, status); }
+            return;
+          }
+          r = copy(entry.response);
+          if (r && r.result) {
+            r.result.offline = true;
+            r.result.stored_at = entry.time;
+          }
+          stale[key] = {url: url, args: copy(args), config: config};
+          schedule();
+          if (success_cb) { success_cb(r, entry.status); }
+        });
+      }
+
+      if (is_offline()) {
+        setTimeout(function() { serve_stored({error: 'Network is offline'}, null); }, 0);
+      }
+      else {
+        req = send(url, args, config).success(function(resp, status) {
+          if (aborted) { return; }
+          delete stale[key];
+          store(key, url, args, resp, status);
+          if (success_cb) { success_cb(resp, status); }
+        });
+        if (req && typeof req.error === 'function') {
+          req = req.error(function(resp, status) {
+            if (aborted) { return; }
+            if (!status) { serve_stored(resp, status); }
+            else if (error_cb) { error_cb(resp, status); }
+          });
+        }
+      }
+
+      function success(cb) {
+        success_cb = cb;
+        return this;
+      }
+
+      function error(cb) {
+        error_cb = cb;
+        return this;
+      }
+
+      // abort the request; neither callback will be called
+      function abort() {
+        aborted = true;
+        if (req && typeof req.abort === 'function') { req.abort(); }
+        return this;
+      }
+
+      return { success: success, error: error, abort: abort };
+    }
+
+    // Fetches the stale responses again. Resolves once all attempts are done;
+    // responses that still cannot be fetched are tried again later.
+    function revalidate() {
+      var attempts = [];
+
+      if (timer !== null) { clearTimeout(timer); }
+      timer = null;
+
+      Object.keys(stale).forEach(function(key) {
+        var s = stale[key];
+        attempts.push(new Promise(function(resolve) {
+          var req = send(s.url, s.args, s.config).success(function(resp, status) {
+            delete stale[key];
+            store(key, s.url, s.args, resp, status).then(function() {
+              if (on_revalidated) { on_revalidated({url: s.url, args: copy(s.args), response: resp}); }
+              resolve();
+            });
+          });
+          if (req && typeof req.error === 'function') {
+            req.error(function(resp, status) {
+              // the server answered, so the stored response is of no more use
+              if (status) { delete stale[key]; }
+              resolve();
+            });
+          }
+        }));
+      });
+
+      return Promise.all(attempts).then(function() { schedule(); });
+    }
+
+    // stops revalidating in the background
+    function stop() {
+      if (timer !== null) { clearTimeout(timer); }
+      timer = null;
+      if (listening) { window.removeEventListener('online', revalidate); }
+      listening = false;
+    }
+
+    // requests answered from storage and not fetched again yet
+    function pending() {
+      return Object.keys(stale).map(function(key) {
+        return {url: stale[key].url, args: copy(stale[key].args)};
+      });
+    }
+
+    function clear() {
+      stale = {};
+      times = null;
+      stop();
+      return Promise.resolve(storage.clear());
+    }
+
+    var wrapper = {
+      post: post,
+      revalidate: revalidate,
+      pending: pending,
+      stop: stop,
+      clear: clear,
+      storage: storage
+    };
+    ['put', 'get'].forEach(function(method) {
+      if (typeof http[method] === 'function') {
+        wrapper[method] = function() { return http[method].apply(http, arguments); };
+      }
+    });
+    return wrapper;
+  }
+
+  // Storages. Each has get(key), set(key, entry), remove(key), clear() and
+  // keys(); each returns a Promise or a value. Entries are plain JSON data.
+
+  CuriousOffline.memory_storage = function() {
+    var entries = {};
+    return {
+      get: function(key) { return Promise.resolve(entries.hasOwnProperty(key) ? copy(entries[key]) : null); },
+      set: function(key, entry) { entries[key] = copy(entry); return Promise.resolve(); },
+      remove: function(key) { delete entries[key]; return Promise.resolve(); },
+      clear: function() { entries = {}; return Promise.resolve(); },
+      keys: function() { return Promise.resolve(Object.keys(entries)); }
+    };
+  };
+
+  // Node only: entries kept in a JSON file, read on first use and written on
+  // every change
+  CuriousOffline.file_storage = function(path) {
+    var fs = require('fs');
+    var entries = null;
+
+    function load() {
+      if (entries === null) {
+        entries = fs.existsSync(path) ? JSON.parse(fs.readFileSync(path, 'utf8')) : {};
+      }
+      return entries;
+    }
+
+    function save() {
+      fs.writeFileSync(path, JSON.stringify(entries)+'\n');
+    }
+
+    return {
+      get: function(key) {
+        return new Promise(function(resolve) {
+          var e = load();
+          resolve(e.hasOwnProperty(key) ? copy(e[key]) : null);
+        });
+      },
+      set: function(key, entry) {
+        return new Promise(function(resolve) {
+          load()[key] = copy(entry);
+          save();
+          resolve();
+        });
+      },
+      remove: function(key) {
+        return new Promise(function(resolve) {
+          delete load()[key];
+          save();
+          resolve();
+        });
+      },
+      clear: function() {
+        return new Promise(function(resolve) {
+          entries = {};
+          save();
+          resolve();
+        });
+      },
+      keys: function() {
+        return new Promise(function(resolve) { resolve(Object.keys(load())); });
+      }
+    };
+  };
+
+  // Browser only: entries kept in an object store of an IndexedDB database,
+  // by default 'responses'
+  CuriousOffline.indexeddb_storage = function(name, store) {
+    var db = null;
+    store = store || 'responses';
+
+    function open() {
+      if (db === null) {
+        db = new Promise(function(resolve, reject) {
+          var req = indexedDB.open(name, 1);
+          req.onupgradeneeded = function() { req.result.createObjectStore(store); };
+          req.onsuccess = function() { resolve(req.result); };
+          req.onerror = function() { reject(req.error); };
+        });
+      }
+      return db;
+    }
+
+    // runs f(object store) in a transaction; resolves to the result of the
+    // request f returns, once the transaction is complete
+    function run(mode, f) {
+      return open().then(function(d) {
+        return new Promise(function(resolve, reject) {
+          var tx = d.transaction(store, mode);
+          var req = f(tx.objectStore(store));
+          tx.oncomplete = function() { resolve(req.result); };
+          tx.onerror = function() { reject(tx.error); };
+          tx.onabort = function() { reject(tx.error); };
+        });
+      });
+    }
+
+    return {
+      get: function(key) {
+        return run('readonly', function(s) { return s.get(key); }).then(function(e) {
+          return e === undefined ? null : e;
+        });
+      },
+      set: function(key, entry) {
+        return run('readwrite', function(s) { return s.put(entry, key); });
+      },
+      remove: function(key) {
+        return run('readwrite', function(s) { return s['delete'](key); });
+      },
+      clear: function() {
+        return run('readwrite', function(s) { return s.clear(); });
+      },
+      keys: function() {
+        return run('readonly', function(s) { return s.getAllKeys(); });
+      }
+    };
+  };
+
+  var ex = undefined;
+  if (typeof exports !== 'undefined' && exports) { ex = exports; }
+  else if (typeof window !== 'undefined') { ex = window; }
+  ex.CuriousOffline = CuriousOffline;
+
+})();
@@ -0,0 +1,129 @@
+// Retry policy shared by the HTTP transports (curious-xhr.js, curious-fetch.js,
+// request-http.js). Transports given retry options need this file, which on
+// pages without a module system must be loaded by the time they are created.
+//
+
+(function(){
+
+  // Options:
+  //
+  //   max_attempts          - total number of attempts, including the first.
+  //                           Default 3.
+  //   base_delay            - delay before the first retry, in milliseconds;
+  //                           doubled for every further retry. Default 200.
+  //   max_delay             - upper bound for the backoff delay, and for the
+  //                           wait a Retry-After header asks for. Default
+  //                           10000.
+  //   jitter                - pick a random delay between 0 and the backoff
+  //                           delay, so clients retrying at once spread out.
+  //                           Default true.
+  //   retry_statuses        - HTTP statuses worth retrying. Default 408, 429,
+  //                           500, 502, 503 and 504.
+  //   retry_network_errors  - retry requests that got no response at all.
+  //                           Default true.
+  //   retryable             - function(status, response) overriding the two
+  //                           options above.
+  //   respect_retry_after   - wait as long as a Retry-After header asks, up to
+  //                           max_delay, instead of the backoff delay. Default
+  //                           true.
+  //   on_retry              - called before each retry with {attempt, delay,
+  //                           status, response}; attempt is the number of the
+  //                           attempt about to be made.
+  //   random                - function returning a number in [0, 1) for the
+  //                           jitter. Default Math.random.
+
+  var DEFAULT_RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+  var CuriousRetry = function(options) {
+    options = options || {};
+    this.max_attempts = options.max_attempts === undefined ? 3 : options.max_attempts;
+    this.base_delay = options.base_delay === undefined ? 200 : options.base_delay;
+    this.max_delay = options.max_delay === undefined ? 10000 : options.max_delay;
+    this.jitter = options.jitter === undefined ? true : options.jitter;
+    this.retry_statuses = options.retry_statuses || DEFAULT_RETRY_STATUSES;
+    this.retry_network_errors = options.retry_network_errors === undefined ? true : options.retry_network_errors;
+    this.retryable = options.retryable || null;
+    this.respect_retry_after = options.respect_retry_after === undefined ? true : options.respect_retry_after;
+    this.on_retry = options.on_retry || null;
+    this.random = options.random || Math.random;
+  };
+
+  // Milliseconds to wait for a Retry-After header value, either a number of
+  // seconds or an HTTP date; null if there is no usable value.
+  function parse_retry_after(value) {
+    var t;
+    if (value === undefined || value === null || value === '') { return null; }
+    if (/^\s*\d+\s*$/.test(value)) { return parseInt(value, 10)*1000; }
+    t = Date.parse(value);
+    if (isNaN(t)) { return null; }
+    return Math.max(0, t - (new Date()).getTime());
+  }
+
+  CuriousRetry.prototype = {
+    should_retry: function(attempt, status, response) {
+      if (attempt >= this.max_attempts) { return false; }
+      if (this.retryable) { return !!this.retryable(status, response); }
+      if (!status) { return this.retry_network_errors; }
+      return this.retry_statuses.indexOf(status) >= 0;
+    },
+
+    // delay before the retry following the given attempt
+    delay: function(attempt, retry_after) {
+      var ms = parse_retry_after(retry_after);
+      if (ms !== null && this.respect_retry_after) { return Math.min(this.max_delay, ms); }
+      ms = Math.min(this.max_delay, this.base_delay * Math.pow(2, attempt-1));
+      if (this.jitter) { ms = Math.floor(this.random() * ms); }
+      return ms;
+    },
+
+    // Makes attempts until one succeeds or the policy gives up. send(done) makes
+    // one attempt and returns an object with abort(); it must call
+    //
+    //   done(ok, response, status, retry_after)
+    //
+    // exactly once, where retry_after is the Retry-After header, if any. finish
+    // gets the ok, response and status of the last attempt. Returns an object
+    // whose abort() stops the current attempt and any further ones.
+    run: function(send, finish) {
+      var self = this;
+      var attempt = 0;
+      var current = null;
+      var timer = null;
+      var aborted = false;
+
+      function next() {
+        timer = null;
+        attempt++;
+        current = send(function(ok, response, status, retry_after) {
+          var delay;
+          if (aborted) { return; }
+          if (ok || !self.should_retry(attempt, status, response)) {
+            finish(ok, response, status);
+            return;
+          }
+          delay = self.delay(attempt, retry_after);
+          if (self.on_retry) {
+            self.on_retry({attempt: attempt+1, delay: delay, status: status, response: response});
+          }
+          timer = setTimeout(next, delay);
+        });
+      }
+
+      next();
+
+      return {
+        abort: function() {
+          aborted = true;
+          if (timer !== null) { clearTimeout(timer); }
+          if (current && typeof current.abort === 'function') { current.abort(); }
+        }
+      };
+    }
+  };
+
+  var ex = undefined;
+  if (typeof exports !== 'undefined' && exports) { ex = exports; }
+  else if (typeof window !== 'undefined') { ex = window; }
+  ex.CuriousRetry = CuriousRetry;
+
+})();
@@ -88,51 +88,73 @@ XHR.prototype = {
   }
 };
 
-function CuriousXhr() {
+// curious2.js, for the helpers in CuriousTransport, looked up when needed
+// rather than when this file is loaded. A global from a script tag is used
+// first: on pages with an AMD loader, the global require is asynchronous and
+// cannot load it.
+function curious2() {
+  if (typeof window !== 'undefined' && window.CuriousTransport) { return window; }
+  if (typeof exports !== 'undefined' && exports && typeof require === 'function') {
+    return require('./curious2.js');
+  }
+  throw("Load curious2.js before using curious-xhr.js");
+}
+
+// retry_options, if given, makes failed requests retry with the policy
+// described in curious-retry.js, which must then be loaded.
+function CuriousXhr(retry_options) {
   var xhr = new XHR();
+  var retry = retry_options ? curious2().CuriousTransport.retry(retry_options) : null;
 
   // create a new scope with its own "success_cb"
   function _request(url, data, params, content_type, method, ignore_requested_with) {
     var success_cb = null;
     var error_cb = null;
+    var aborted = false;
+    var x;
 
     var headers = { 'Content-Type': content_type ? content_type : 'text/plain' }
+    var extra_headers = null;
+    var k;
+
+    // an angular style config, {params: ..., headers: ...}, can be given in
+    // place of params
+    if (params && params.headers && typeof params.headers === 'object') {
+      extra_headers = params.headers;
+      params = params.params;
+    }
+
     if (!ignore_requested_with)
       headers['X-Requested-With'] = 'XMLHttpRequest';
-
-    xhr.request({
-      url: url,
-      body: ((method === "POST" || method === "PUT") && data) ? JSON.stringify(data) : null,
-      params: params,
-      method: method,
-      headers: headers,
-      callback: function(response, xhr) {
-        if (xhr.status >= 200 && xhr.status < 300) {
-          if (success_cb) {
-            var r = null;
-            try {
-              r = JSON.parse(xhr.responseText);
-            }
-            catch(e) {
-              r = xhr.responseText;
-            }
-            success_cb(r);
-          }
-        }
-        else {
-          if (error_cb) {
-            var r = null;
-            try {
-              r = JSON.parse(xhr.responseText);
-            }
-            catch(e) {
-              r = xhr.responseText;
-            }
-            error_cb(r);
-          }
+    for (k in extra_headers) { headers[k] = extra_headers[k]; }
+
+    function send(done) {
+      return xhr.request({
+        url: url,
+        body: ((method === "POST" || method === "PUT") && data) ? JSON.stringify(data) : null,
+        params: params,
+        method: method,
+        headers: headers,
+        callback: function(response, xhr) {
+          var parse_response = curious2().CuriousTransport.parse_response;
+          done(xhr.status >= 200 && xhr.status < 300, parse_response(xhr.responseText),
+               xhr.status,
+               xhr.status ? xhr.getResponseHeader('Retry-After') : null);
         }
+      });
+    }
+
+    function finish(ok, r, status) {
+      if (aborted) { return; }
+      if (ok) {
+        if (success_cb) { success_cb(r, status); }
       }
-    });
+      else {
+        if (error_cb) { error_cb(r, status); }
+      }
+    }
+
+    x = retry ? retry.run(send, finish) : send(finish);
 
     function success(cb) {
       success_cb = cb;
@@ -144,7 +166,14 @@ function CuriousXhr() {
       return this;
     }
 
-    return { success: success, error: error };
+    // abort the request; neither callback will be called
+    function abort() {
+      aborted = true;
+      x.abort();
+      return this;
+    }
+
+    return { success: success, error: error, abort: abort };
   }
 
   function post(url, data, params, content_type, ignore_requested_with) {
@@ -162,16 +191,22 @@ function CuriousXhr() {
     return x;
   }
 
+  // a copy of this transport that retries failed requests
+  function with_retry(options) {
+    return CuriousXhr(options);
+  }
+
   return {
     post: post,
     put: put,
-    get: get
+    get: get,
+    with_retry: with_retry
   };
 }
 
 var ex = undefined;
-if (typeof window !== 'undefined') { ex = window; }
-else if (typeof exports !== 'undefined' && exports) { ex = exports; }
+if (typeof exports !== 'undefined' && exports) { ex = exports; }
+else if (typeof window !== 'undefined') { ex = window; }
 
 ex.CuriousXhr = CuriousXhr();
 })();
@@ -90,11 +90,12 @@
           var src = join_src[obj_src[1]];
           if (obj_src[0]) {
             var obj = join_obj[obj_src[0]];
-
-            // forward relationship from query to next query
-            src[rel].push(obj);
-            // reverse relationship
-            obj[rev].push(src);
+            if (src && obj) {
+              // forward relationship from query to next query
+              src[rel].push(obj);
+              // reverse relationship
+              obj[rev].push(src);
+            }
           }
         }
       }
@@ -247,9 +248,11 @@
     }
   };
 
+  // this is the legacy API; in browsers it lives under CuriousLegacy so that it
+  // does not clash with the CuriousQ and CuriousObjects of curious2.js
   var ex = undefined;
-  if (typeof window !== 'undefined') { ex = window; }
-  else if (typeof exports !== 'undefined' && exports) { ex = exports; }
+  if (typeof exports !== 'undefined' && exports) { ex = exports; }
+  else if (typeof window !== 'undefined') { ex = window.CuriousLegacy = {}; }
   ex.CuriousQ = CuriousQ;
   ex.CuriousObjects = CuriousObjects;
 })();
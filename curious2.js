@@ -31,8 +31,176 @@
     this.left = true;
   };
 
+  // Builder for filtered join terms, so callers never paste user input into
+  // query strings. For example
+  //
+  //   new CuriousFilter('Experiment.reaction_set')
+  //     .where('name__icontains', user_input)
+  //     .where('id__in', [1, 2, 3])
+  //     .order_by('-created')
+  //     .limit(10)
+  //
+  // becomes
+  //
+  //   Experiment.reaction_set(name__icontains="...", id__in=[1, 2, 3])
+  //     {order_by("-created"), limit(10)}
+  //
+  // (without the line break). Filters can be passed anywhere a term string is
+  // accepted.
+
+  var FILTER_LOOKUPS = {
+    exact: 1, iexact: 1, contains: 1, icontains: 1, startswith: 1, istartswith: 1,
+    endswith: 1, iendswith: 1, gt: 1, gte: 1, lt: 1, lte: 1, 'in': 1, range: 1,
+    isnull: 1, regex: 1, iregex: 1, year: 1, month: 1, day: 1
+  };
+
+  var JOIN_RE = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/;
+  var FIELD_RE = /^[A-Za-z_][A-Za-z0-9]*(_[A-Za-z0-9]+)*(__[A-Za-z][A-Za-z0-9]*(_[A-Za-z0-9]+)*)*$/;
+
+  var CHAR_ESCAPES = {'\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t'};
+
+  // the escape sequence for a character of a string literal
+  function escape_char(c) {
+    return CHAR_ESCAPES[c] || '\\u'+('000'+c.charCodeAt(0).toString(16)).slice(-4);
+  }
+
+  function filter_value(field, v) {
+    if (v === null || v === undefined) { return 'None'; }
+    if (v === true) { return 'True'; }
+    if (v === false) { return 'False'; }
+    if (typeof v === 'number') {
+      if (!isFinite(v))
+        throw("Invalid value for filter '"+field+"': "+v);
+      return String(v);
+    }
+    if (v instanceof Date) {
+      if (isNaN(v.getTime()))
+        throw("Invalid date for filter '"+field+"'");
+      v = v.toISOString();
+    }
+    if (typeof v === 'string') {
+      return '"'+v.replace(/[\\"\x00-\x1f\x7f]/g, escape_char)+'"';
+    }
+    if (Array.isArray(v)) {
+      var r = [];
+      for (var i=0; i<v.length; i++) {
+        if (Array.isArray(v[i]))
+          throw("Invalid value for filter '"+field+"': nested lists are not allowed");
+        r.push(filter_value(field, v[i]));
+      }
+      return '['+r.join(', ')+']';
+    }
+    throw("Invalid value for filter '"+field+"': "+(typeof v));
+  }
+
+  function check_lookup(field, v) {
+    var lookup = field.substring(field.lastIndexOf('__')+2);
+    if (field.indexOf('__') < 0 || !FILTER_LOOKUPS[lookup]) { return; }
+    if (lookup === 'in' && !Array.isArray(v))
+      throw("Filter '"+field+"' requires a list");
+    if (lookup === 'range' && !(Array.isArray(v) && v.length === 2))
+      throw("Filter '"+field+"' requires a list of two values");
+    if (lookup === 'isnull' && typeof v !== 'boolean')
+      throw("Filter '"+field+"' requires true or false");
+    if (lookup !== 'in' && lookup !== 'range' && Array.isArray(v))
+      throw("Filter '"+field+"' does not take a list");
+  }
+
+  var CuriousFilter = function(join) {
+    if (typeof join !== 'string' || !JOIN_RE.test(join))
+      throw("Invalid model or relationship name for filter: "+join);
+    this.join = join;
+    this.filters = [];   // array of [field, value]
+    this.ordering = [];
+    this.max_count = null;
+  };
+
+  CuriousFilter.prototype = {
+    // where(field, value) or where({field: value, ...})
+    where: function(field, value) {
+      if (typeof field === 'object' && field !== null) {
+        for (var k in field) {
+          if (field.hasOwnProperty(k)) { this.where(k, field[k]); }
+        }
+        return this;
+      }
+      if (typeof field !== 'string' || !FIELD_RE.test(field))
+        throw("Invalid filter field: "+field);
+      for (var i=0; i<this.filters.length; i++) {
+        if (this.filters[i][0] === field)
+          throw("Filter '"+field+"' is already set");
+      }
+      check_lookup(field, value);
+      filter_value(field, value);
+      this.filters.push([field, value]);
+      return this;
+    },
+
+    // order_by('name', '-created', ...)
+    order_by: function() {
+      for (var i=0; i<arguments.length; i++) {
+        var f = arguments[i];
+        if (typeof f !== 'string' || !FIELD_RE.test(f.charAt(0) === '-' ? f.substring(1) : f))
+          throw("Invalid ordering field: "+f);
+        this.ordering.push(f);
+      }
+      return this;
+    },
+
+    limit: function(n) {
+      if (typeof n !== 'number' || n % 1 !== 0 || n < 1)
+        throw("Invalid limit: "+n);
+      this.max_count = n;
+      return this;
+    },
+
+    to_s: function() {
+      var s = this.join;
+      var parts = [];
+      var i;
+
+      if (this.filters.length > 0) {
+        for (i=0; i<this.filters.length; i++) {
+          parts.push(this.filters[i][0]+'='+filter_value(this.filters[i][0], this.filters[i][1]));
+        }
+        s += '('+parts.join(', ')+')';
+      }
+
+      parts = [];
+      if (this.ordering.length > 0) {
+        for (i=0; i<this.ordering.length; i++) { parts.push(filter_value('order_by', this.ordering[i])); }
+        parts = ['order_by('+parts.join(', ')+')'];
+      }
+      if (this.max_count !== null) { parts.push('limit('+this.max_count+')'); }
+      if (parts.length > 0) { s += '{'+parts.join(', ')+'}'; }
+
+      return s;
+    },
+
+    toString: function() {
+      return this.to_s();
+    }
+  };
+
+  // Term text for a term given as a string, a CuriousFilter or, for nested
+  // conditions, a CuriousQuery
+  function term_string(s) {
+    if (s instanceof CuriousFilter) { return s.to_s(); }
+    if (s instanceof CuriousQuery) {
+      if (s.terms.length === 0)
+        throw("Cannot nest an empty query");
+      return s.query();
+    }
+    if (typeof s !== 'string')
+      throw("Query term must be a string, a CuriousFilter or a CuriousQuery");
+    return s;
+  }
+
+  // Named fragments, see CuriousQuery.define_fragment
+  var fragments = {};
+
   function make_obj(klass) {
-    return function(model) {
+    return function() {
       return new klass();
     }
   }
@@ -43,6 +211,7 @@
     this.objfs = [];
     this.params = null;
     this.existing_objects = null;  // array of object arrays
+    this.identity_map = null;
   };
 
   CuriousQuery.prototype = {
@@ -62,41 +231,73 @@
       return s.join('');
     },
 
-    // extend this query with another query
+    // extend this query with another query, including its relationship names
+    // and object constructors
     extend: function(query) {
+      var r = 0;
       for (var i=0; i<query.terms.length; i++) {
-        this.append(query.terms[i], query.relationships[i], query.objfs[i]);
+        var n = query.terms[i].results || 0;
+        this.terms.push(query.terms[i]);
+        this.relationships.push.apply(this.relationships, query.relationships.slice(r, r+n));
+        this.objfs.push.apply(this.objfs, query.objfs.slice(r, r+n));
+        r += n;
       }
       return this;
     },
 
+    // extend this query with a fragment, given by name or as a query
+    splice: function(fragment) {
+      var query = fragment;
+      if (typeof fragment === 'string') {
+        query = fragments[fragment];
+        if (!query)
+          throw("Unknown query fragment: "+fragment);
+      }
+      return this.extend(query);
+    },
+
     append: function(term, relationship, obj_f) {
       this.terms.push(term);
+      term.results = 0;
       if (relationship) {
         this.relationships.push(relationship);
         this.objfs.push(obj_f);
+        term.results = 1;
       }
       return this;
     },
 
     start: function(s, relationship) {
-      return this.append(new QueryTermFollow(s), relationship);
+      return this.append(new QueryTermFollow(term_string(s)), relationship);
     },
 
     follow: function(s, relationship) {
-      return this.append(new QueryTermFollow(s), relationship);
+      return this.append(new QueryTermFollow(term_string(s)), relationship);
     },
 
     having: function(s) {
-      return this.append(new QueryTermHaving(s));
+      return this.append(new QueryTermHaving(term_string(s)));
     },
 
     not_having: function(s) {
-      return this.append(new QueryTermNotHaving(s));
+      return this.append(new QueryTermNotHaving(term_string(s)));
     },
 
+    // s may be a query, whose relationships and object constructors are used
+    // when no relationship is given
     with: function(s, relationship) {
-      return this.append(new QueryTermWith(s), relationship);
+      var term = new QueryTermWith(term_string(s));
+      if (relationship || !(s instanceof CuriousQuery)) { return this.append(term, relationship); }
+      this.append(term);
+      this.relationships.push.apply(this.relationships, s.relationships);
+      this.objfs.push.apply(this.objfs, s.objfs);
+      term.results = s.relationships.length;
+      return this;
+    },
+
+    // a union of this query and another, see CuriousUnion
+    or: function(query) {
+      return new CuriousUnion([this, query]);
     },
 
     wrap_with: function(klass) {
@@ -106,6 +307,7 @@
       return this;
     },
 
+    // f(data, model) returns the object for a row of the latest subquery
     wrap_dynamically: function(f) {
       if (this.objfs.length === 0)
         throw("Cannot specify function for creating object before starting a query");
@@ -123,212 +325,2118 @@
       return this;
     },
 
-    perform: function(clt, objects_cb, trees_cb) {
+    // merge results into this identity map instead of the client's
+    set_identity_map: function(identity_map) {
+      this.identity_map = identity_map;
+      return this;
+    },
+
+    // options: signal (AbortSignal-like) and timeout in milliseconds; a
+    // cancelled or timed out query calls error_cb or rejects, and never calls
+    // objects_cb or trees_cb or resolves.
+    perform: function(clt, objects_cb, trees_cb, error_cb, options) {
       var q = this.query()
       clt.get(q, this.relationships, this.objfs,
               this.params, this.existing_objects,
-              objects_cb, trees_cb);
+              objects_cb, trees_cb, error_cb, this.request_options(options));
     },
 
-    promise: function(clt) {
+    promise: function(clt, options) {
       var q = this.query();
       var self = this;
       return new Promise(function(resolve, reject) {
         clt.get(q, self.relationships, self.objfs, self.params, self.existing_objects,
-                function(objects) { resolve(objects); });
+                function(objects) { resolve(objects); }, null,
+                function(error) { reject(error); }, self.request_options(options));
       });
+    },
+
+    // resolves to the CuriousTree of the results
+    tree: function(clt, options) {
+      var q = this.query();
+      var self = this;
+      return new Promise(function(resolve, reject) {
+        clt.get(q, self.relationships, self.objfs, self.params, self.existing_objects,
+                function() {}, function(trees, tree) { resolve(tree); },
+                function(error) { reject(error); }, self.request_options(options));
+      });
+    },
+
+    request_options: function(options) {
+      options = options || {};
+      return {identity_map: this.identity_map, signal: options.signal, timeout: options.timeout};
+    },
+
+    // The terms of the query, each as {term, kind, relationships}, where kind
+    // is 'follow', 'having', 'not_having' or 'with', and relationships are
+    // the names its results get
+    explain: function() {
+      var r = [];
+      var rel = 0;
+      for (var i=0; i<this.terms.length; i++) {
+        var t = this.terms[i];
+        var n = t.results || 0;
+        r.push({term: t.to_s(),
+                kind: t instanceof QueryTermHaving ? 'having' : t instanceof QueryTermNotHaving ? 'not_having' :
+                      t instanceof QueryTermWith ? 'with' : 'follow',
+                relationships: this.relationships.slice(rel, rel+n)});
+        rel += n;
+      }
+      return r;
+    },
+
+    paginate: function(clt, options) {
+      return new CuriousPager(this, clt, options);
+    },
+
+    // re-runs the query as results change, see CuriousWatch
+    watch: function(clt, options) {
+      return new CuriousWatch(this, clt, options).start();
     }
   };
 
-  var CuriousObjects = (function() {
-    function CuriousObject(hash_data) {
-      this.id = hash_data.id;
-      for (var k in hash_data) {
-        this[k] = hash_data[k];
+  // Parsing query strings back into CuriousQuery objects. A query is a list of
+  // terms separated by whitespace or commas: joins such as Experiment(id=12) or
+  // Experiment.reaction_set, and conditional terms +(...), -(...) and ?(...).
+  // Separators must be the ones query() would produce, so a parsed query
+  // serializes back to the same string (modulo extra whitespace).
+
+  var OPEN_BRACKETS = {'(': ')', '[': ']', '{': '}'};
+  var CLOSE_BRACKETS = {')': '(', ']': '[', '}': '{'};
+  var CONDITIONAL_TERMS = {'+': QueryTermHaving, '-': QueryTermNotHaving, '?': QueryTermWith};
+
+  function parse_error(s, pos, msg) {
+    return "Cannot parse query '"+s+"' at position "+pos+": "+msg;
+  }
+
+  function is_space(c) {
+    return c === ' ' || c === '\t' || c === '\n' || c === '\r';
+  }
+
+  // Returns index just past the end of the term starting at i, scanning no
+  // further than end. A term ends at the first whitespace or comma outside of
+  // brackets and quotes, or, if stop_at_close is set, right after the bracket
+  // closing the first one.
+  function scan_term(s, i, end, stop_at_close) {
+    var stack = [];
+    var quote = null;
+    var start = i;
+    var c;
+
+    for (; i<end; i++) {
+      c = s.charAt(i);
+      if (quote) {
+        if (c === '\\') { i++; }
+        else if (c === quote) { quote = null; }
+        continue;
       }
-      this.__url = null;
-      this.__model = null;
+      if (c === '"' || c === "'") { quote = c; }
+      else if (OPEN_BRACKETS[c]) { stack.push(c); }
+      else if (CLOSE_BRACKETS[c]) {
+        if (stack.length === 0 || stack[stack.length-1] !== CLOSE_BRACKETS[c])
+          throw(parse_error(s, i, "unexpected '"+c+"'"));
+        stack.pop();
+        if (stop_at_close && stack.length === 0) { return i+1; }
+      }
+      else if (stack.length === 0 && (is_space(c) || c === ',')) { break; }
     }
 
-    function parse_objects(data, model, obj_f, existing_objs) {
-      if (data.objects === undefined) { return []; }
-      var objects = [];
+    if (quote)
+      throw(parse_error(s, start, 'unterminated string'));
+    if (stack.length > 0)
+      throw(parse_error(s, start, "missing '"+OPEN_BRACKETS[stack[stack.length-1]]+"'"));
+    return i;
+  }
 
-      for (var i=0; i<data.objects.length; i++) {
-        var obj = data.objects[i];
-        var url = data.urls[i];
-        var obj_data = {};
+  // Default relationship name for a join term: the last component of the join
+  // without filters or recursion markers, e.g. 'Experiment' for
+  // Experiment(id=12), 'products' for Reaction.products and 'next_steps' for
+  // Step.next_steps*.
+  function relationship_name(term) {
+    var name = term.split(/[\(\[\{]/)[0].replace(/\*+$/, '');
+    return name.substring(name.lastIndexOf('.')+1);
+  }
 
-        for (var j=0; j<data.fields.length; j++) {
-          obj_data[data.fields[j]] = obj[j];
+  // Parses the terms of s between start and end into a new CuriousQuery. The
+  // text of a ?() term is parsed as a query too, and each of its joins gets a
+  // relationship, as with() does with a query.
+  function parse_terms(s, i, end, relationships) {
+    var query = new CuriousQuery();
+    var comma, term_end, c, term, prev, expect_comma, rel, inner;
+
+    while (true) {
+      comma = false;
+      while (i < end && (is_space(s.charAt(i)) || s.charAt(i) === ',')) {
+        if (s.charAt(i) === ',') {
+          if (comma || query.terms.length === 0)
+            throw(parse_error(s, i, "unexpected ','"));
+          comma = true;
         }
+        i++;
+      }
+      if (i >= end) {
+        if (comma)
+          throw(parse_error(s, i, "unexpected ',' at end of query"));
+        break;
+      }
 
-        var id = obj_data.id;
-        var obj;
+      c = s.charAt(i);
+      if (CONDITIONAL_TERMS[c] && s.charAt(i+1) === '(') {
+        term_end = scan_term(s, i+1, end, true);
+        term = new CONDITIONAL_TERMS[c](s.substring(i+2, term_end-1));
+        if (term.term.replace(/\s/g, '') === '')
+          throw(parse_error(s, i, 'empty '+c+'() term'));
+      }
+      else {
+        term_end = scan_term(s, i, end, false);
+        term = new QueryTermFollow(s.substring(i, term_end));
+      }
 
-        if (id !== undefined && existing_objs && existing_objs[id] !== undefined) {
-          obj = existing_objs[id];
-          for (var k in obj_data) { obj[k] = obj_data[k]; }
-        }
-        else if (!obj_f)
-          obj = new CuriousObject(obj_data);
-        else {
-          obj = obj_f(obj_data);
-          for (var k in obj_data) { obj[k] = obj_data[k]; }
-        }
-        obj.id = obj_data.id;
-        obj.__url = url;
-        obj.__model = model;
-        objects.push(obj);
+      if (query.terms.length > 0) {
+        prev = query.terms[query.terms.length-1];
+        expect_comma = !term.conditional && !term.left && !prev.left;
+        if (comma !== expect_comma)
+          throw(parse_error(s, i, expect_comma ? "expected ',' before term" : "unexpected ',' before term"));
       }
-      return objects;
+
+      if (term.conditional)
+        query.append(term);
+      else if (term.left) {
+        inner = parse_terms(s, i+2, term_end-1,
+                            relationships ? relationships.slice(query.relationships.length) : null);
+        query.append(term);
+        query.relationships.push.apply(query.relationships, inner.relationships);
+        query.objfs.push.apply(query.objfs, inner.objfs);
+        term.results = inner.relationships.length;
+      }
+      else {
+        rel = relationships ? relationships[query.relationships.length] : undefined;
+        query.append(term, rel ? rel : relationship_name(term.term));
+      }
+      i = term_end;
     }
 
-    function parse_results_with_trees(relationships, objfs, results, existing_object_dicts) {
-      // get objects associated with each subquery. for each subquery, build a
-      // hash of ID to object. existing_object_dicts should be an array of dicts,
-      // each dict is a mapping of ID to existing objects. if existing objects
-      // are specified, will build relationships using existing objects.
+    return query;
+  }
 
-      var objects = [];
-      var trees = [];
+  // Parse a query string into a CuriousQuery. relationships optionally names
+  // the joins, including those within ?() terms, in order; unnamed ones get
+  // relationship_name().
+  CuriousQuery.parse = function(s, relationships) {
+    var query;
 
-      for (var i=0; i<results.data.length; i++) {
-        var obj_f = null;
-        if (objfs)
-          obj_f = objfs[i];
-        var model = results.results[i].model;
-        var existing_objs = null;
-        if (existing_object_dicts !== undefined && existing_object_dicts !== null &&
-            existing_object_dicts[i] !== undefined && existing_object_dicts[i] !== null)
-          existing_objs = existing_object_dicts[i];
-        var result_objects = parse_objects(results.data[i], model, obj_f, existing_objs);
-        var d = {};
-        for (var j=0; j<result_objects.length; j++) { d[result_objects[j].id] = result_objects[j]; }
-        objects.push(d);
-        trees.push(null);
-      }
+    if (typeof s !== 'string')
+      throw("Cannot parse query: expected a string");
 
-      // for each subquery, add a relationship to results of next subquery, and
-      // then a reverse relationship
-      for (var i=1; i<results.results.length; i++) {
-        var rel = relationships[i];
+    query = parse_terms(s, 0, s.length, relationships);
+    if (query.terms.length === 0)
+      throw("Cannot parse query: query is empty");
+    return query;
+  };
 
-        var res_tups = results.results[i].objects;
-        var join_idx = results.results[i].join_index;
-        var join_src = objects[join_idx];
-        var join_obj = objects[i];
-        var rev = relationships[join_idx];
-        trees[i] = results.results[i].tree;
+  // Registers a query as a named fragment, which queries can then splice in
+  // by name, with its relationship names and object constructors:
+  //
+  //   CuriousQuery.define_fragment('products',
+  //     new CuriousQuery().follow('Reaction.products', 'products').wrap_with(Product));
+  //   new CuriousQuery().start('Reaction(id=1)', 'reactions').splice('products');
+  CuriousQuery.define_fragment = function(name, query) {
+    if (!(query instanceof CuriousQuery) || query.terms.length === 0)
+      throw("Query fragment must be a non-empty CuriousQuery");
+    fragments[name] = query;
+    return query;
+  };
 
-        // add empty replationship
-        for (var k in join_src) { join_src[k][rel] = []; }
-        for (var k in join_obj) { join_obj[k][rev] = []; }
+  // Alternative queries whose results are combined. Each branch is a separate
+  // request; all share an identity map (from the options, the first branch,
+  // the client, or else a new one), so an object reached by several branches
+  // is one object with the relationships of all of them. Objects are combined
+  // by relationship name, without duplicates. objects_cb gets the combined
+  // objects and the results of all branches; trees_cb gets the trees of all
+  // branches and a CuriousTree with the roots of all of them. If any branch
+  // was served from storage, the combined objects are marked offline with the
+  // oldest stored_at. The first
+  // failing branch fails the union; without error_cb, the client reports the
+  // errors of failing branches as it does for other queries.
 
-        for (var j=0; j<res_tups.length; j++) {
-          var obj_src = res_tups[j];
-          var src = join_src[obj_src[1]];
-          if (obj_src[0]) {
-            var obj = join_obj[obj_src[0]];
-            if (src && obj) {
-              // forward relationship from query to next query
-              src[rel].push(obj);
-              // reverse relationship
-              obj[rev].push(src);
+  var CuriousUnion = function(branches) {
+    this.branches = branches.slice();
+  };
+
+  CuriousUnion.prototype = {
+    or: function(query) {
+      this.branches.push(query);
+      return this;
+    },
+
+    perform: function(clt, objects_cb, trees_cb, error_cb, options) {
+      var branches = this.branches;
+      var outputs = [];
+      var results = [];
+      var trees = [];
+      var tree_roots = [];
+      var left = branches.length;
+      var failed = false;
+      var identity_map;
+
+      options = options || {};
+      identity_map = options.identity_map || (branches.length > 0 && branches[0].identity_map) ||
+                     clt.identity_map || new CuriousIdentityMap();
+
+      function done() {
+        var objects = {};
+        var roots = [];
+        var stored_at = null;
+        for (var i=0; i<outputs.length; i++) {
+          roots.push.apply(roots, tree_roots[i]);
+          // the union is as stale as its oldest stored branch
+          if (outputs[i].offline && (stored_at === null || outputs[i].stored_at < stored_at)) {
+            stored_at = outputs[i].stored_at;
+          }
+          for (var k in outputs[i]) {
+            if (!objects[k]) { objects[k] = []; }
+            for (var j=0; j<outputs[i][k].length; j++) {
+              if (objects[k].indexOf(outputs[i][k][j]) < 0) { objects[k].push(outputs[i][k][j]); }
             }
           }
         }
+        if (stored_at !== null) { mark_offline(objects, stored_at); }
+        objects_cb(objects, results);
+        if (trees_cb) { trees_cb(trees, new CuriousTree(roots, trees)); }
       }
 
-      return {objects: objects, trees: trees};
-    }
+      function fail(error) {
+        if (failed) { return; }
+        failed = true;
+        error_cb(error);
+      }
 
-    function dict_to_array(d) {
-      var r = [];
-      for (var k in d) { r.push(d[k]); }
-      return r;
-    }
+      branches.forEach(function(q, i) {
+        clt.get(q.query(), q.relationships, q.objfs, q.params, q.existing_objects,
+                function(objects, result) {
+                  outputs[i] = objects;
+                  results[i] = result;
+                },
+                function(branch_trees, tree) {
+                  trees[i] = branch_trees;
+                  tree_roots[i] = tree.roots;
+                  left--;
+                  if (left === 0 && !failed) { done(); }
+                },
+                error_cb ? fail : null,
+                {identity_map: identity_map, signal: options.signal, timeout: options.timeout});
+      });
+      if (branches.length === 0) { done(); }
+    },
 
-    function array_to_dict(a) {
-      var d = {};
-      for (var i=0; i<a.length; i++) {
-        d[a[i].id] = a[i];
-      }
-      return d;
+    promise: function(clt, options) {
+      var self = this;
+      return new Promise(function(resolve, reject) {
+        self.perform(clt, function(objects) { resolve(objects); }, null,
+                     function(error) { reject(error); }, options);
+      });
     }
+  };
 
-    function id_list(objects) {
-      var ids = [];
-      for (var i=0; i<objects.length; i++) {
-        if (ids.indexOf(objects[i].id) < 0) {
-          ids.push(objects[i].id);
-        }
-      }
-      return ids;
+  // Key of a parsed object by model and id, or null for objects without both
+  function object_key(obj) {
+    if (obj !== null && typeof obj === 'object' && obj.__model && obj.id !== undefined && obj.id !== null) {
+      return obj.__model+':'+obj.id;
     }
+    return null;
+  }
 
-    function id_str(objects) {
-      var ids = id_list(objects);
-      if (ids.length === 0) { return null; }
-      return ids.join(',');
-    }
+  // Fetches the results of a query a page at a time. Pages are requested with
+  // extra args: limit and offset, or, when cursor_param is set, limit and the
+  // cursor returned in the previous response. Each page is merged into the
+  // objects of earlier pages through an identity map (the query's, else the
+  // client's, else one private to the pager), so relationships built by later
+  // pages extend the same objects. Options:
+  //
+  //   page_size     - number of objects of the first relationship per page
+  //   limit_param   - arg for the page size, default 'limit'
+  //   offset_param  - arg for the offset, default 'offset'
+  //   cursor_param  - arg for the cursor; enables cursor paging
+  //   cursor_field  - field of the response's result holding the next
+  //                   cursor, default 'next_cursor'; paging stops when it is
+  //                   missing or null
+  //   signal        - AbortSignal-like object cancelling the page requests
+  //   timeout       - timeout of each page request, in milliseconds
+  //
+  // With offset paging, a page with fewer than page_size objects is the last.
+  // next() follows the async iterator protocol, and resolves to
+  // {value: page, done: false} where page is
+  //
+  //   {objects: this page's objects, all: objects of all pages so far,
+  //    trees: this page's trees, tree: this page's CuriousTree,
+  //    index: page number starting at 0}
 
-    return {
-      parse_with_trees: parse_results_with_trees,
-      d2a: dict_to_array,
-      a2d: array_to_dict,
-      id_list: id_list,
-      id_str: id_str,
-    }
+  var CuriousPager = function(query, clt, options) {
+    if (!options || !(options.page_size > 0))
+      throw("Cannot paginate without a page size");
 
-  }());
+    this.query = query;
+    this.clt = clt;
+    this.page_size = options.page_size;
+    this.limit_param = options.limit_param || 'limit';
+    this.offset_param = options.offset_param || 'offset';
+    this.cursor_param = options.cursor_param || null;
+    this.cursor_field = options.cursor_field || 'next_cursor';
+    this.signal = options.signal;
+    this.timeout = options.timeout;
+    this.identity_map = query.identity_map || clt.identity_map || new CuriousIdentityMap();
 
-  function convert_results_to_output(relationships, objects) {
-    var i, j;
-    var output = {};
+    this.index = 0;
+    this.offset = 0;
+    this.cursor = null;
+    this.done = false;
+    this.all = {};
+    this.seen = {};  // relationship to the __model:id keys of objects in all
+    this.last = Promise.resolve();
+  };
 
-    for (i = 0; i < objects.length; i++) {
-      if (output[relationships[i]]) {
-        j = 2;
-        while (output[relationships[i]+'_'+j]) { j++; }
-        output[relationships[i]+'_'+j] = CuriousObjects.d2a(objects[i]);
+  CuriousPager.prototype = {
+    fetch_page: function() {
+      var self = this;
+      var query = this.query;
+      var params = {};
+      var k;
+
+      for (k in query.params) {
+        if (query.params.hasOwnProperty(k)) { params[k] = query.params[k]; }
+      }
+      params[this.limit_param] = this.page_size;
+      if (this.cursor_param) {
+        if (this.cursor !== null) { params[this.cursor_param] = this.cursor; }
       }
       else
-        output[relationships[i]] = CuriousObjects.d2a(objects[i]);
-    }
+        params[this.offset_param] = this.offset;
 
-    return output;
-  }
+      return new Promise(function(resolve, reject) {
+        var r = null;
+        self.clt.get(query.query(), query.relationships, query.objfs, params,
+                     self.index === 0 ? query.existing_objects : null,
+                     function(objects, result) { r = self.add_page(objects, result); },
+                     function(trees, tree) {
+                       r.value.trees = trees;
+                       r.value.tree = tree;
+                       resolve(r);
+                     },
+                     reject, {identity_map: self.identity_map, signal: self.signal,
+                              timeout: self.timeout});
+      });
+    },
 
-  function get_args(query_args, app_default_args) {
-    var k;
-    var args = {x: 0, fk: 0}; // default args
-    var immutable_args = {d: 1}; // these are always set, no matter what
+    add_page: function(objects, result) {
+      var page = {objects: objects, all: this.all, trees: null, tree: null, index: this.index};
+      var first = objects[this.query.relationships[0]] || [];
+      var k, i, key;
 
-    if (app_default_args) {
-      for (k in app_default_args) {
-        if (app_default_args.hasOwnProperty(k)) {
-          args[k] = app_default_args[k];
+      for (k in objects) {
+        if (!this.all[k]) {
+          this.all[k] = [];
+          this.seen[k] = {};
+        }
+        for (i=0; i<objects[k].length; i++) {
+          key = object_key(objects[k][i]);
+          if (key !== null) {
+            if (this.seen[k][key]) { continue; }
+            this.seen[k][key] = true;
+          }
+          else if (this.all[k].indexOf(objects[k][i]) >= 0) { continue; }
+          this.all[k].push(objects[k][i]);
         }
       }
-    }
 
-    if (query_args) {
-      for (k in query_args) {
-        if (query_args.hasOwnProperty(k)) {
-          args[k] = query_args[k];
-        }
+      this.index++;
+      if (this.cursor_param) {
+        this.cursor = (result && result[this.cursor_field] !== undefined) ? result[this.cursor_field] : null;
+        if (this.cursor === null) { this.done = true; }
       }
-    }
+      else {
+        this.offset += first.length;
+        if (first.length < this.page_size) { this.done = true; }
+      }
+      return {value: page, done: false};
+    },
 
-    for (k in immutable_args) {
-      args[k] = immutable_args[k];
+    // A page that fails to load can be asked for again with another next().
+    next: function() {
+      var self = this;
+      var p = this.last.then(function() {
+        if (self.done) { return {value: undefined, done: true}; }
+        return self.fetch_page();
+      });
+      this.last = p.catch(function() {});
+      return p;
+    },
+
+    // fetch all remaining pages; resolves to the objects of all pages
+    fetch_all: function() {
+      var self = this;
+      return this.next().then(function(r) {
+        return r.done ? self.all : self.fetch_all();
+      });
     }
+  };
 
-    return args;
+  if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+    CuriousPager.prototype[Symbol.asyncIterator] = function() { return this; };
   }
 
-  function convert_array_array_to_dict_array(objects_array) {
+  // Keeps the results of a query up to date, re-running it every interval
+  // milliseconds and whenever a push source sends a notification. New results
+  // are matched to the previous ones by model and id: objects still there are
+  // updated in place, relationship arrays are refilled in place, and objects
+  // without an id are replaced. Options:
+  //
+  //   interval  - milliseconds between the end of a run and the next one
+  //   source    - push source, see CuriousWatch.websocket,
+  //               CuriousWatch.event_source and CuriousWatch.local_source
+  //   filter    - function(message) returning whether a notification should
+  //               re-run the query; by default all do
+  //   timeout   - timeout of each run, in milliseconds
+  //
+  // Events, subscribed to with on(event, f):
+  //
+  //   added     - f(object), for each object new in the results, including
+  //               every object of the first run
+  //   removed   - f(object), for each object no longer in the results
+  //   changed   - f(object, previous), for each object whose fields changed;
+  //               previous has the old values of the changed fields
+  //   update    - f(objects, {added, removed, changed}) after each run, where
+  //               objects are the results keyed by relationship
+  //   error     - f(error), when a run fails; the watch goes on. Without
+  //               listeners, failures go to the client's warn.
+  //
+  // A notification during a run re-runs the query once it is done; stop()
+  // cancels the run in progress. The watch uses an identity map of its own,
+  // so other queries do not see its objects.
+
+  // an AbortController-like pair of a signal, as get() takes, and abort()
+  function abort_controller() {
+    var listeners = [];
+    var signal = {
+      aborted: false,
+      addEventListener: function(type, f) {
+        if (type === 'abort') { listeners.push(f); }
+      },
+      removeEventListener: function(type, f) {
+        if (listeners.indexOf(f) >= 0) { listeners.splice(listeners.indexOf(f), 1); }
+      }
+    };
+    return {
+      signal: signal,
+      abort: function() {
+        if (signal.aborted) { return; }
+        signal.aborted = true;
+        listeners.slice().forEach(function(f) { f(); });
+      }
+    };
+  }
+
+  function refill(array, values) {
+    array.length = 0;
+    array.push.apply(array, values);
+    return array;
+  }
+
+  var CuriousWatch = function(query, clt, options) {
+    options = options || {};
+    this.query = query;
+    this.clt = clt;
+    this.interval = options.interval || null;
+    this.source = options.source || null;
+    this.filter = options.filter || null;
+    this.timeout = options.timeout;
+
+    this.objects = {};
+    this.known = {};   // object_key to object
+    this.listeners = {};
+    this.running = null;
+    this.run = null;   // abort_controller of the current run
+    this.pending = false;
+    this.stopped = false;
+    this.timer = null;
+    this.unsubscribe = null;
+  };
+
+  CuriousWatch.prototype = {
+    on: function(event, f) {
+      if (!this.listeners[event]) { this.listeners[event] = []; }
+      this.listeners[event].push(f);
+      return this;
+    },
+
+    off: function(event, f) {
+      var l = this.listeners[event] || [];
+      if (l.indexOf(f) >= 0) { l.splice(l.indexOf(f), 1); }
+      return this;
+    },
+
+    emit: function(event) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      var l = (this.listeners[event] || []).slice();
+      for (var i=0; i<l.length; i++) { l[i].apply(this, args); }
+    },
+
+    start: function() {
+      var self = this;
+      if (this.source) {
+        this.unsubscribe = this.source.subscribe(function(message) {
+          if (!self.filter || self.filter(message)) { self.refresh(); }
+        });
+      }
+      this.refresh();
+      return this;
+    },
+
+    stop: function() {
+      this.stopped = true;
+      if (this.run) { this.run.abort(); }
+      if (this.timer !== null) { clearTimeout(this.timer); }
+      this.timer = null;
+      if (this.unsubscribe) { this.unsubscribe(); }
+      this.unsubscribe = null;
+      return this;
+    },
+
+    // Runs the query now, or after the current run if there is one. Resolves
+    // to the objects once the run is done, failed or not.
+    refresh: function() {
+      var self = this;
+      var query = this.query;
+
+      if (this.stopped) { return Promise.resolve(this.objects); }
+      if (this.running) {
+        this.pending = true;
+        return this.running;
+      }
+      if (this.timer !== null) { clearTimeout(this.timer); }
+      this.timer = null;
+      this.run = abort_controller();
+
+      this.running = new Promise(function(resolve) {
+        var done = function() {
+          self.running = null;
+          self.run = null;
+          if (!self.stopped && self.pending) {
+            self.pending = false;
+            self.refresh();
+          }
+          else if (!self.stopped && self.interval) {
+            self.timer = setTimeout(function() { self.refresh(); }, self.interval);
+          }
+          resolve(self.objects);
+        };
+
+        self.clt.get(query.query(), query.relationships, query.objfs, query.params,
+                     query.existing_objects,
+                     function(objects) {
+                       if (!self.stopped) { self.update(objects); }
+                       done();
+                     }, null,
+                     function(error) {
+                       if (!self.stopped) {
+                         if (self.listeners.error && self.listeners.error.length > 0) { self.emit('error', error); }
+                         else { self.clt.warn('Curious: watched query failed: '+error.message); }
+                       }
+                       done();
+                     },
+                     {identity_map: new CuriousIdentityMap(), timeout: self.timeout, signal: self.run.signal});
+      });
+      return this.running;
+    },
+
+    // merges the objects of a run into the previous ones, and emits events
+    update: function(objects) {
+      var rels = this.query.relationships;
+      var known = {};
+      var seen = [];
+      var added = [];
+      var removed = [];
+      var changed = [];
+      var rel, i, j, k;
+
+      function canonical(obj) {
+        var k = object_key(obj);
+        return (k !== null && known[k]) ? known[k] : obj;
+      }
+
+      for (rel in objects) {
+        for (i=0; i<objects[rel].length; i++) {
+          if (seen.indexOf(objects[rel][i]) < 0) { seen.push(objects[rel][i]); }
+        }
+      }
+
+      // match objects, and copy new field values into the previous objects
+      for (i=0; i<seen.length; i++) {
+        var obj = seen[i];
+        var key = object_key(obj);
+        var prev = key !== null ? this.known[key] : undefined;
+
+        if (key === null) { continue; }
+        if (prev === undefined || prev === obj) {
+          known[key] = obj;
+          if (prev === undefined) { added.push(obj); }
+          continue;
+        }
+
+        var old_fields = CuriousObjects.original(prev);
+        var new_fields = CuriousObjects.original(obj);
+        var previous = {};
+        var any = false;
+        for (k in new_fields) {
+          if (JSON.stringify(old_fields[k]) !== JSON.stringify(new_fields[k])) {
+            previous[k] = old_fields[k];
+            any = true;
+          }
+        }
+        // fields with unsaved changes keep them
+        CuriousObjects.merge_loaded(prev, new_fields);
+        prev.__url = obj.__url;
+        known[key] = prev;
+        if (any) { changed.push([prev, previous]); }
+      }
+
+      // relationships of the new objects, pointing at the matched ones
+      for (i=0; i<seen.length; i++) {
+        var target = canonical(seen[i]);
+        for (j=0; j<rels.length; j++) {
+          var related = seen[i][rels[j]];
+          if (!Array.isArray(related)) { continue; }
+          related = related.map(canonical);
+          if (target === seen[i] || Array.isArray(target[rels[j]])) { refill(target[rels[j]], related); }
+          else { target[rels[j]] = related; }
+        }
+      }
+
+      for (k in this.known) {
+        if (!known[k]) { removed.push(this.known[k]); }
+      }
+      this.known = known;
+
+      for (rel in this.objects) {
+        if (!objects[rel]) { refill(this.objects[rel], []); }
+      }
+      for (rel in objects) {
+        if (!this.objects[rel]) { this.objects[rel] = []; }
+        refill(this.objects[rel], objects[rel].map(canonical));
+      }
+
+      for (i=0; i<added.length; i++) { this.emit('added', added[i]); }
+      for (i=0; i<removed.length; i++) { this.emit('removed', removed[i]); }
+      for (i=0; i<changed.length; i++) { this.emit('changed', changed[i][0], changed[i][1]); }
+      this.emit('update', this.objects, {added: added, removed: removed,
+                                         changed: changed.map(function(c) { return c[0]; })});
+    }
+  };
+
+  // Push sources for CuriousWatch. A source has subscribe(listener), which
+  // returns a function to unsubscribe; listener gets each message, parsed as
+  // JSON when it can be.
+
+  function push_message(data) {
+    if (typeof data !== 'string') { return data; }
+    try {
+      return JSON.parse(data);
+    }
+    catch (e) {
+      return data;
+    }
+  }
+
+  function event_target_source(target, event, owned) {
+    return {
+      subscribe: function(listener) {
+        var handler = function(e) { listener(push_message(e.data)); };
+        target.addEventListener(event, handler);
+        return function() {
+          target.removeEventListener(event, handler);
+          if (owned) { target.close(); }
+        };
+      }
+    };
+  }
+
+  // socket is a WebSocket, or a URL to open one to
+  CuriousWatch.websocket = function(socket) {
+    if (typeof socket === 'string') { return event_target_source(new WebSocket(socket), 'message', true); }
+    return event_target_source(socket, 'message', false);
+  };
+
+  // source is an EventSource, or a URL to open one to; event defaults to
+  // 'message'
+  CuriousWatch.event_source = function(source, event) {
+    if (typeof source === 'string') { return event_target_source(new EventSource(source), event || 'message', true); }
+    return event_target_source(source, event || 'message', false);
+  };
+
+  // a source sending whatever is passed to its notify(message), e.g. in tests
+  CuriousWatch.local_source = function() {
+    var listeners = [];
+    return {
+      subscribe: function(listener) {
+        listeners.push(listener);
+        return function() {
+          if (listeners.indexOf(listener) >= 0) { listeners.splice(listeners.indexOf(listener), 1); }
+        };
+      },
+      notify: function(message) {
+        var l = listeners.slice();
+        for (var i=0; i<l.length; i++) { l[i](message); }
+      }
+    };
+  };
+
+  // Map of (model, id) to the one object standing for that database row. When
+  // a CuriousQ has an identity map, every query's results are merged into the
+  // objects already in the map, so the same row is the same JS object across
+  // queries and its relationships accumulate instead of being replaced.
+
+  var CuriousIdentityMap = function() {
+    this.objects = {};  // model to dict of ID to object
+  };
+
+  CuriousIdentityMap.prototype = {
+    get: function(model, id) {
+      var d = this.objects[model];
+      if (d === undefined || d[id] === undefined) { return null; }
+      return d[id];
+    },
+
+    add: function(obj) {
+      if (!this.objects[obj.__model]) { this.objects[obj.__model] = {}; }
+      this.objects[obj.__model][obj.id] = obj;
+      return obj;
+    },
+
+    // all objects of a model, as an array
+    all: function(model) {
+      var r = [];
+      var d = this.objects[model];
+      for (var k in d) { r.push(d[k]); }
+      return r;
+    },
+
+    // evict(model, id) forgets one object, evict(model) all objects of a model
+    evict: function(model, id) {
+      if (id === undefined) { delete this.objects[model]; }
+      else if (this.objects[model]) { delete this.objects[model][id]; }
+    },
+
+    clear: function() {
+      this.objects = {};
+    },
+
+    size: function() {
+      var n = 0;
+      for (var m in this.objects) {
+        for (var k in this.objects[m]) { n++; }
+      }
+      return n;
+    }
+  };
+
+  // Classes and factories for the objects of each model, keyed by the model
+  // name the server sends (results.results[i].model), so queries need no
+  // wrap_with or wrap_dynamically for them. A query's own wrap_with or
+  // wrap_dynamically takes precedence for its subquery.
+  //
+  //   clt.models.register('Experiment', Experiment)
+  //             .register_factory('Reaction', function(data, model) { ... });
+
+  var CuriousModelRegistry = function(classes) {
+    this.factories = {};
+    for (var k in classes) {
+      if (classes.hasOwnProperty(k)) { this.register(k, classes[k]); }
+    }
+  };
+
+  CuriousModelRegistry.prototype = {
+    register: function(model, klass) {
+      this.factories[model] = make_obj(klass);
+      return this;
+    },
+
+    // f(data, model) returns the object for a row
+    register_factory: function(model, f) {
+      this.factories[model] = f;
+      return this;
+    },
+
+    unregister: function(model) {
+      delete this.factories[model];
+      return this;
+    },
+
+    // the factory for a model, or null
+    factory: function(model) {
+      return this.factories.hasOwnProperty(model) ? this.factories[model] : null;
+    }
+  };
+
+  // Field schemas of models, used to turn the JSON values of parsed objects
+  // into the types they stand for. A schema maps field names to a type, given
+  // as a name or as an object with a type and its options:
+  //
+  //   schemas.register('Reaction', {
+  //     created: 'datetime',
+  //     yield: 'decimal',
+  //     state: {type: 'enum', values: ['planned', 'running', 'done']},
+  //     experiment_id: {type: 'fk', model: 'Experiment'}
+  //   });
+  //
+  // date and datetime become Dates; number, decimal and integer become
+  // numbers; boolean takes true, false, 0 and 1; string becomes a string; enum
+  // values must be one of values. null stays null. Values that cannot be
+  // converted fail the query when strict is set, else are kept as they are,
+  // with a warning.
+  //
+  // With resolve_fks set, the object for the id in an fk field, if already
+  // loaded (in the response or in the client's identity map), is set as the
+  // field named by the field's as option, by default the field name without
+  // its _id suffix. The id stays in the field, so saving still sends it.
+  //
+  // Options:
+  //
+  //   strict       - fail on values that cannot be converted
+  //   resolve_fks  - resolve fk fields to loaded objects
+  //   loader       - function(models) returning a Promise of schemas keyed by
+  //                  model, for models without a registered schema; see
+  //                  CuriousSchemas.endpoint and CuriousSchemas.local. Models
+  //                  are only asked for once.
+
+  var FIELD_TYPES = {date: 1, datetime: 1, number: 1, decimal: 1, integer: 1, boolean: 1, string: 1,
+                     'enum': 1, fk: 1};
+
+  function field_spec(model, field, spec) {
+    if (typeof spec === 'string') { spec = {type: spec}; }
+    if (!spec || !FIELD_TYPES[spec.type])
+      throw("Unknown type for field "+model+"."+field+": "+(spec && spec.type));
+    if (spec.type === 'enum' && !Array.isArray(spec.values))
+      throw("Enum field "+model+"."+field+" needs a list of values");
+    if (spec.type === 'fk') {
+      if (!spec.model)
+        throw("Foreign key field "+model+"."+field+" needs a model");
+      if (!spec.as && !/._id$/.test(field))
+        throw("Foreign key field "+model+"."+field+" needs an as option");
+    }
+    return spec;
+  }
+
+  // converted value, or undefined if v cannot be converted
+  function coerce_value(spec, v) {
+    var n;
+    switch (spec.type) {
+      case 'date':
+      case 'datetime':
+        if (v instanceof Date) { return v; }
+        if (typeof v !== 'string' && typeof v !== 'number') { return undefined; }
+        n = new Date(v);
+        return isNaN(n.getTime()) ? undefined : n;
+      case 'number':
+      case 'decimal':
+      case 'integer':
+        n = (typeof v === 'string' && v.trim() !== '') ? Number(v) : v;
+        if (typeof n !== 'number' || !isFinite(n)) { return undefined; }
+        return (spec.type === 'integer' && n % 1 !== 0) ? undefined : n;
+      case 'boolean':
+        if (v === true || v === 1) { return true; }
+        if (v === false || v === 0) { return false; }
+        return undefined;
+      case 'string':
+        return typeof v === 'object' ? undefined : String(v);
+      case 'enum':
+        return spec.values.indexOf(v) >= 0 ? v : undefined;
+    }
+    return v;
+  }
+
+  var CuriousSchemas = function(options) {
+    options = options || {};
+    this.schemas = {};
+    this.strict = !!options.strict;
+    this.resolve_fks = !!options.resolve_fks;
+    this.loader = options.loader || null;
+    this.asked = {};
+    this.loading = {};  // model to the Promise of the load it is part of
+  };
+
+  CuriousSchemas.prototype = {
+    register: function(model, fields) {
+      var schema = {};
+      for (var k in fields) {
+        if (fields.hasOwnProperty(k)) { schema[k] = field_spec(model, k, fields[k]); }
+      }
+      this.schemas[model] = schema;
+      return this;
+    },
+
+    get: function(model) {
+      return this.schemas.hasOwnProperty(model) ? this.schemas[model] : null;
+    },
+
+    // models of a Curious result with no schema that the loader has not been
+    // asked for yet
+    missing: function(result) {
+      var r = [];
+      if (!this.loader || !result || !Array.isArray(result.results)) { return r; }
+      for (var i=0; i<result.results.length; i++) {
+        var model = result.results[i] && result.results[i].model;
+        if (model && !this.get(model) && !this.asked[model] && r.indexOf(model) < 0) { r.push(model); }
+      }
+      return r;
+    },
+
+    // loads the schemas of models through the loader
+    load: function(models) {
+      var self = this;
+      var p;
+      var done = function() {
+        for (var i=0; i<models.length; i++) {
+          if (self.loading[models[i]] === p) { delete self.loading[models[i]]; }
+        }
+      };
+
+      if (!this.loader) { return Promise.resolve(this); }
+      for (var i=0; i<models.length; i++) { this.asked[models[i]] = true; }
+      p = Promise.resolve(this.loader(models)).then(function(schemas) {
+        done();
+        for (var k in schemas) {
+          if (schemas.hasOwnProperty(k) && schemas[k]) { self.register(k, schemas[k]); }
+        }
+        return self;
+      }, function(e) {
+        done();
+        for (var i=0; i<models.length; i++) { delete self.asked[models[i]]; }
+        throw e;
+      });
+      for (i=0; i<models.length; i++) { this.loading[models[i]] = p; }
+      return p;
+    },
+
+    // Promise resolved once the schemas of the models of a Curious result are
+    // there: loads those missing, and waits for those a load started earlier
+    // is still getting. null if there is nothing to wait for.
+    ready: function(result) {
+      var self = this;
+      var waits = [];
+      var missing = this.missing(result);
+      var model;
+
+      if (missing.length > 0) { waits.push(this.load(missing)); }
+      for (var i=0; result && Array.isArray(result.results) && i<result.results.length; i++) {
+        model = result.results[i] && result.results[i].model;
+        if (model && this.loading[model] && waits.indexOf(this.loading[model]) < 0) {
+          waits.push(this.loading[model]);
+        }
+      }
+      if (waits.length === 0) { return null; }
+      return Promise.all(waits).then(function() { return self; });
+    },
+
+    // field values of an object of a model, converted; values kept as they
+    // are go to warn, console.warn by default
+    coerce: function(model, data, warn) {
+      var schema = this.get(model);
+      var problems = [];
+      var r = {};
+      var k, v, e;
+
+      for (k in data) { r[k] = data[k]; }
+      if (!schema) { return r; }
+
+      for (k in schema) {
+        if (r[k] === null || r[k] === undefined) { continue; }
+        v = coerce_value(schema[k], r[k]);
+        if (v === undefined) {
+          problems.push(model+'.'+k+': '+JSON.stringify(r[k])+' is not a valid '+schema[k].type);
+        }
+        else { r[k] = v; }
+      }
+
+      if (problems.length > 0) {
+        if (this.strict) {
+          e = new Error('invalid field values: '+problems.join('; '));
+          e.problems = problems;
+          throw e;
+        }
+        warn = warn || function(msg) { console.warn(msg); };
+        for (var i=0; i<problems.length; i++) { warn('Curious: '+problems[i]); }
+      }
+      return r;
+    },
+
+    // points the fk fields of objects at loaded objects; lookup(model, id)
+    // returns the loaded object, or null
+    resolve: function(objects, lookup) {
+      for (var i=0; i<objects.length; i++) {
+        var schema = this.get(objects[i].__model);
+        for (var k in schema) {
+          if (schema[k].type !== 'fk') { continue; }
+          var id = objects[i][k];
+          var name = schema[k].as || k.substring(0, k.length-3);
+          var related = (id === null || id === undefined) ? null : lookup(schema[k].model, id);
+          if (related) { objects[i][name] = related; }
+        }
+      }
+    }
+  };
+
+  // A loader asking a schema endpoint for the schemas of models, by posting
+  // {models: [...]}; the endpoint answers {schemas: {model: fields}}.
+  CuriousSchemas.endpoint = function(http, url) {
+    return function(models) {
+      return new Promise(function(resolve, reject) {
+        var req = http.post(url, {models: models}).success(function(resp) {
+          resolve((resp && resp.schemas) || {});
+        });
+        if (req && typeof req.error === 'function') {
+          req.error(function(resp, status) {
+            reject(new CuriousError(server_error_message(resp) || 'Cannot load schemas', status, null, resp));
+          });
+        }
+      });
+    };
+  };
+
+  // A loader serving the given schemas, e.g. in tests; models asked for are
+  // recorded in its requests property
+  CuriousSchemas.local = function(schemas) {
+    var loader = function(models) {
+      var r = {};
+      loader.requests.push(models.slice());
+      for (var i=0; i<models.length; i++) {
+        if (schemas.hasOwnProperty(models[i])) { r[models[i]] = schemas[models[i]]; }
+      }
+      return Promise.resolve(r);
+    };
+    loader.requests = [];
+    return loader;
+  };
+
+  // Walking relationships of parsed objects. A path is a dot separated list of
+  // relationship names, e.g. 'reactions.products', or an array of names. Each
+  // step collects the related objects of all objects so far, in order, without
+  // duplicates; objects without the relationship are skipped.
+  //
+  //   new CuriousChain(experiments)
+  //     .follow('reactions').filter(function(r) { return r.yield > 0.5; })
+  //     .follow('products').value()
+
+  function unique_objects(objects) {
+    var seen = {};
+    var r = [];
+    for (var i=0; i<objects.length; i++) {
+      var k = object_key(objects[i]);
+      if (k !== null) {
+        if (seen[k]) { continue; }
+        seen[k] = true;
+      }
+      else if (r.indexOf(objects[i]) >= 0) { continue; }
+      r.push(objects[i]);
+    }
+    return r;
+  }
+
+  function path_steps(path) {
+    if (Array.isArray(path)) { return path; }
+    if (typeof path !== 'string' || path === '')
+      throw("Invalid relationship path: "+path);
+    return path.split('.');
+  }
+
+  // objects related to obj by a single relationship
+  function related(obj, rel) {
+    var v = obj ? obj[rel] : undefined;
+    if (Array.isArray(v)) { return v; }
+    if (v !== null && typeof v === 'object') { return [v]; }
+    return [];
+  }
+
+  var CuriousChain = function(objects) {
+    if (objects === null || objects === undefined) { objects = []; }
+    this.objects = Array.isArray(objects) ? objects.slice() : [objects];
+  };
+
+  CuriousChain.prototype = {
+    follow: function(path) {
+      var steps = path_steps(path);
+      var objects = this.objects;
+      for (var i=0; i<steps.length; i++) {
+        var next = [];
+        for (var j=0; j<objects.length; j++) {
+          next.push.apply(next, related(objects[j], steps[i]));
+        }
+        objects = unique_objects(next);
+      }
+      return new CuriousChain(objects);
+    },
+
+    filter: function(f) {
+      return new CuriousChain(this.objects.filter(f));
+    },
+
+    map: function(f) {
+      return new CuriousChain(this.objects.map(f));
+    },
+
+    unique: function() {
+      return new CuriousChain(unique_objects(this.objects));
+    },
+
+    // Groups objects by the objects they reach through path, as an array of
+    // {key: related object, objects: [...]}. An object reaching several
+    // related objects is in several groups; objects reaching none are in a
+    // group with a null key, at the end.
+    group_by: function(path) {
+      var groups = [];
+      var by_key = {};
+      var keys = [];
+      var none = [];
+
+      for (var i=0; i<this.objects.length; i++) {
+        var obj = this.objects[i];
+        var ends = new CuriousChain(obj).follow(path).objects;
+        if (ends.length === 0) { none.push(obj); }
+        for (var j=0; j<ends.length; j++) {
+          var k = object_key(ends[j]);
+          var g = (k !== null) ? by_key[k] : groups[keys.indexOf(ends[j])];
+          if (!g) {
+            g = {key: ends[j], objects: []};
+            groups.push(g);
+            keys.push(ends[j]);
+            if (k !== null) { by_key[k] = g; }
+          }
+          g.objects.push(obj);
+        }
+      }
+
+      if (none.length > 0) { groups.push({key: null, objects: none}); }
+      return groups;
+    },
+
+    value: function() {
+      return this.objects.slice();
+    }
+  };
+
+  // The hierarchy of a query's results, as a tree of nodes pointing at the
+  // parsed objects. Roots are the objects of the first subquery; each node has
+  // the objects its object joined to in later subqueries as children, keyed by
+  // relationship name. An object joined from several objects gets a node under
+  // each of them.
+  //
+  // A subquery following a relationship recursively has a tree from the
+  // server, telling which object each was reached from. Its objects are then
+  // nested as the tree says: only the roots of the tree are children of the
+  // object they were joined to, and every other object is a child of its
+  // parent in the tree, through the same relationship, unless that parent is
+  // not in the result. An object with several parents in the tree gets one
+  // node below each joined object, under the first parent reached breadth
+  // first. The trees as sent, as given to trees_cb, are kept in raw.
+  //
+  // The server tree of a subquery is a list of its root nodes, each an
+  // [id, children] pair, children being a list of nodes in turn, like the
+  // [id, source id] pairs of join rows:
+  //
+  //   "tree": [[10, [[11, [[12, []]]], [13, []]]]]
+  //
+  // See test/fixtures/recursive-query.json for a whole response.
+
+  var CuriousTreeNode = function(object, relationship, parent) {
+    this.object = object;
+    this.relationship = relationship;
+    this.parent = parent;
+    this.depth = parent ? parent.depth+1 : 0;
+    this.children = {};
+  };
+
+  function nodes_following(nodes, path) {
+    var steps = path_steps(path);
+    for (var i=0; i<steps.length; i++) {
+      var next = [];
+      for (var j=0; j<nodes.length; j++) {
+        next.push.apply(next, nodes[j].children[steps[i]] || []);
+      }
+      nodes = next;
+    }
+    return nodes;
+  }
+
+  function nodes_depth_first(nodes) {
+    var r = [];
+    var stack = nodes.slice().reverse();
+    while (stack.length > 0) {
+      var node = stack.pop();
+      r.push(node);
+      stack.push.apply(stack, node.child_nodes().reverse());
+    }
+    return r;
+  }
+
+  function nodes_breadth_first(nodes) {
+    var r = nodes.slice();
+    for (var i=0; i<r.length; i++) {
+      r.push.apply(r, r[i].child_nodes());
+    }
+    return r;
+  }
+
+  CuriousTreeNode.prototype = {
+    // children through one relationship, or all of them
+    child_nodes: function(relationship) {
+      if (relationship !== undefined) { return (this.children[relationship] || []).slice(); }
+      var r = [];
+      for (var k in this.children) { r.push.apply(r, this.children[k]); }
+      return r;
+    },
+
+    // nodes reached from this one through a relationship path
+    find: function(path) {
+      return nodes_following([this], path);
+    },
+
+    // parent first, root last
+    ancestors: function() {
+      var r = [];
+      for (var node = this.parent; node; node = node.parent) { r.push(node); }
+      return r;
+    },
+
+    // this node and its descendants
+    depth_first: function() {
+      return nodes_depth_first([this]);
+    },
+
+    breadth_first: function() {
+      return nodes_breadth_first([this]);
+    }
+  };
+
+  var CuriousTree = function(roots, raw) {
+    this.roots = roots;
+    this.raw = raw || [];
+  };
+
+  CuriousTree.prototype = {
+    find: function(path) {
+      return nodes_following(this.roots, path);
+    },
+
+    depth_first: function() {
+      return nodes_depth_first(this.roots);
+    },
+
+    breadth_first: function() {
+      return nodes_breadth_first(this.roots);
+    }
+  };
+
+  var CuriousObjects = (function() {
+    function CuriousObject(hash_data) {
+      this.id = hash_data.id;
+      for (var k in hash_data) {
+        this[k] = hash_data[k];
+      }
+      this.__url = null;
+      this.__model = null;
+    }
+
+    // objects reached from this object through a relationship path; hidden by
+    // a field named path, in which case use CuriousObjects.path instead. Not
+    // enumerable, so for..in over an object still gives only its fields.
+    function object_path(path) {
+      return new CuriousChain(this).follow(path).value();
+    }
+
+    function define_path(target) {
+      Object.defineProperty(target, 'path', {value: object_path, writable: true, enumerable: false,
+                                             configurable: true});
+    }
+
+    define_path(CuriousObject.prototype);
+
+    // Change tracking. Parsed objects remember the values their fields had
+    // when last loaded or saved, in a non-enumerable __original property, so
+    // changes() can tell which fields were modified since. Only fields that
+    // came from the server are tracked; relationships are not. When a query
+    // loads an object that is already there, through existing objects or an
+    // identity map, fields with unsaved changes keep them; see merge_loaded.
+
+    function copy_value(v) {
+      if (v instanceof Date) { return new Date(v.getTime()); }
+      if (v !== null && typeof v === 'object') { return JSON.parse(JSON.stringify(v)); }
+      return v;
+    }
+
+    function same_value(a, b) {
+      if (a instanceof Date && b instanceof Date) { return a.getTime() === b.getTime(); }
+      if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+        return JSON.stringify(a) === JSON.stringify(b);
+      }
+      return a === b;
+    }
+
+    function set_original(obj, data) {
+      if (!obj.__original) {
+        Object.defineProperty(obj, '__original', {value: {}, writable: true, enumerable: false,
+                                                  configurable: true});
+      }
+      for (var k in data) { obj.__original[k] = copy_value(data[k]); }
+    }
+
+    // fields changed since the object was loaded, and their new values
+    function changes(obj) {
+      var r = {};
+      for (var k in obj.__original) {
+        if (!same_value(obj[k], obj.__original[k])) { r[k] = obj[k]; }
+      }
+      return r;
+    }
+
+    function is_dirty(obj) {
+      for (var k in changes(obj)) { return true; }
+      return false;
+    }
+
+    // values of tracked fields as they were loaded
+    function original(obj) {
+      var r = {};
+      for (var k in obj.__original) { r[k] = copy_value(obj.__original[k]); }
+      return r;
+    }
+
+    // undo changes to the given fields, or to all fields
+    function revert(obj, fields) {
+      if (!obj.__original) { return obj; }
+      fields = fields || Object.keys(obj.__original);
+      for (var i=0; i<fields.length; i++) {
+        if (obj.__original.hasOwnProperty(fields[i])) {
+          obj[fields[i]] = copy_value(obj.__original[fields[i]]);
+        }
+      }
+      return obj;
+    }
+
+    // accept the current values of the given fields, or of all fields
+    function mark_clean(obj, fields) {
+      var data = {};
+      fields = fields || Object.keys(obj.__original || {});
+      for (var i=0; i<fields.length; i++) { data[fields[i]] = obj[fields[i]]; }
+      set_original(obj, data);
+      return obj;
+    }
+
+    // Merge the response to saving the given field values into the object.
+    // Fields in the response are taken as the server's values.
+    function merge_saved(obj, data, resp) {
+      set_original(obj, data);
+      if (resp !== null && typeof resp === 'object' && !Array.isArray(resp)) {
+        var saved = {};
+        for (var k in resp) {
+          if (k.substring(0, 2) !== '__') {
+            obj[k] = resp[k];
+            saved[k] = resp[k];
+          }
+        }
+        set_original(obj, saved);
+      }
+      return obj;
+    }
+
+    // Merge field values loaded from the server into an object already
+    // loaded. Fields changed locally keep their values and stay changed, now
+    // against the loaded values; all other fields take the loaded values.
+    function merge_loaded(obj, data) {
+      var dirty = changes(obj);
+      for (var k in data) {
+        if (!dirty.hasOwnProperty(k)) { obj[k] = data[k]; }
+      }
+      set_original(obj, data);
+      return obj;
+    }
+
+    function parse_objects(data, model, obj_f, existing_objs, identity_map, schemas, warn) {
+      if (data.objects === undefined) { return []; }
+      var objects = [];
+
+      for (var i=0; i<data.objects.length; i++) {
+        var obj = data.objects[i];
+        var url = data.urls[i];
+        var obj_data = {};
+
+        for (var j=0; j<data.fields.length; j++) {
+          obj_data[data.fields[j]] = obj[j];
+        }
+        if (schemas && schemas.get(model)) { obj_data = schemas.coerce(model, obj_data, warn); }
+
+        var id = obj_data.id;
+        var obj;
+
+        if (id !== undefined && existing_objs && existing_objs[id] !== undefined) {
+          obj = merge_loaded(existing_objs[id], obj_data);
+        }
+        else if (id !== undefined && identity_map && identity_map.get(model, id) !== null) {
+          obj = merge_loaded(identity_map.get(model, id), obj_data);
+        }
+        else {
+          if (!obj_f)
+            obj = new CuriousObject(obj_data);
+          else {
+            obj = obj_f(obj_data, model);
+            for (var k in obj_data) { obj[k] = obj_data[k]; }
+            // objects of other classes get path() too, unless they have one
+            if (!('path' in obj)) { define_path(obj); }
+          }
+          set_original(obj, obj_data);
+        }
+        obj.id = obj_data.id;
+        obj.__url = url;
+        obj.__model = model;
+        if (identity_map && id !== undefined) { identity_map.add(obj); }
+        objects.push(obj);
+      }
+      return objects;
+    }
+
+    function parse_results_with_trees(relationships, objfs, results, existing_object_dicts, identity_map,
+                                      models, schemas, warn) {
+      // get objects associated with each subquery. for each subquery, build a
+      // hash of ID to object. existing_object_dicts should be an array of dicts,
+      // each dict is a mapping of ID to existing objects. if existing objects
+      // are specified, will build relationships using existing objects. if an
+      // identity map is given, objects already in it are reused and updated,
+      // and relationships are merged into the ones they already have. models,
+      // a CuriousModelRegistry, builds objects of subqueries without objfs;
+      // schemas, a CuriousSchemas, converts field values, with warnings going
+      // to warn. join tuples whose
+      // objects are not in the result are listed in dropped. joins has, for
+      // each subquery after the first, its join_index and the join tuples
+      // that linked objects, for serialize.
+
+      var objects = [];
+      var trees = [];
+      var dropped = [];
+      var joins = [null];
+
+      for (var i=0; i<results.data.length; i++) {
+        var obj_f = null;
+        if (objfs)
+          obj_f = objfs[i];
+        var model = results.results[i].model;
+        if (!obj_f && models)
+          obj_f = models.factory(model);
+        var existing_objs = null;
+        if (existing_object_dicts !== undefined && existing_object_dicts !== null &&
+            existing_object_dicts[i] !== undefined && existing_object_dicts[i] !== null)
+          existing_objs = existing_object_dicts[i];
+        var result_objects = parse_objects(results.data[i], model, obj_f, existing_objs, identity_map,
+                                           schemas, warn);
+        var d = {};
+        for (var j=0; j<result_objects.length; j++) { d[result_objects[j].id] = result_objects[j]; }
+        objects.push(d);
+        trees.push(null);
+      }
+
+      // for each subquery, add a relationship to results of next subquery, and
+      // then a reverse relationship
+      for (var i=1; i<results.results.length; i++) {
+        var rel = relationships[i];
+
+        var res_tups = results.results[i].objects;
+        var join_idx = results.results[i].join_index;
+        var join_src = objects[join_idx];
+        var join_obj = objects[i];
+        var rev = relationships[join_idx];
+        trees[i] = results.results[i].tree;
+        joins.push({join_index: join_idx, objects: []});
+        if (join_src === undefined) { continue; }
+
+        // add empty replationship
+        for (var k in join_src) {
+          if (!identity_map || !Array.isArray(join_src[k][rel])) { join_src[k][rel] = []; }
+        }
+        for (var k in join_obj) {
+          if (!identity_map || !Array.isArray(join_obj[k][rev])) { join_obj[k][rev] = []; }
+        }
+
+        for (var j=0; j<res_tups.length; j++) {
+          var obj_src = res_tups[j];
+          var src = join_src[obj_src[1]];
+          if (obj_src[0]) {
+            var obj = join_obj[obj_src[0]];
+            if (src && obj) {
+              // forward relationship from query to next query
+              if (!identity_map || src[rel].indexOf(obj) < 0) { src[rel].push(obj); }
+              // reverse relationship
+              if (!identity_map || obj[rev].indexOf(src) < 0) { obj[rev].push(src); }
+              joins[i].objects.push([obj_src[0], obj_src[1]]);
+            }
+            else {
+              dropped.push({subquery: i, relationship: rel, object_id: obj_src[0], source_id: obj_src[1],
+                            missing: !src && !obj ? 'both' : (!src ? 'source' : 'object')});
+            }
+          }
+        }
+      }
+
+      if (schemas && schemas.resolve_fks) { resolve_fks(results, objects, identity_map, schemas); }
+
+      return {objects: objects, trees: trees, dropped: dropped, joins: joins};
+    }
+
+    function resolve_fks(results, objects, identity_map, schemas) {
+      var by_model = {};
+      var all = [];
+
+      for (var i=0; i<objects.length; i++) {
+        var model = results.results[i].model;
+        if (!by_model[model]) { by_model[model] = {}; }
+        for (var k in objects[i]) {
+          by_model[model][k] = objects[i][k];
+          all.push(objects[i][k]);
+        }
+      }
+
+      schemas.resolve(all, function(model, id) {
+        if (by_model[model] && by_model[model][id]) { return by_model[model][id]; }
+        return identity_map ? identity_map.get(model, id) : null;
+      });
+    }
+
+    // The edges of a server tree: roots maps the ids at its top to true,
+    // children each id to the ids of its children, and parents each id to
+    // the ids of its parents. Nodes that are not [id, children] pairs are
+    // left out.
+    function server_tree_edges(tree) {
+      var edges = {roots: {}, children: {}, parents: {}};
+      var is_node = function(node) { return Array.isArray(node) && node.length === 2 && Array.isArray(node[1]); };
+      var visit = function(level) {
+        for (var i=0; i<level.length; i++) {
+          if (!is_node(level[i])) { continue; }
+          var id = level[i][0];
+          var children = level[i][1];
+          if (!edges.children[id]) { edges.children[id] = []; }
+          for (var j=0; j<children.length; j++) {
+            if (!is_node(children[j])) { continue; }
+            if (edges.children[id].indexOf(children[j][0]) < 0) {
+              edges.children[id].push(children[j][0]);
+              if (!edges.parents[children[j][0]]) { edges.parents[children[j][0]] = []; }
+              edges.parents[children[j][0]].push(id);
+            }
+          }
+          visit(children);
+        }
+      };
+
+      if (!Array.isArray(tree)) { return edges; }
+      for (var t=0; t<tree.length; t++) {
+        if (is_node(tree[t])) { edges.roots[tree[t][0]] = true; }
+      }
+      visit(tree);
+      return edges;
+    }
+
+    // Builds a CuriousTree from a result and the objects parse_results_with_trees
+    // returned for it.
+    function build_tree(relationships, results, parsed) {
+      var nodes = [];
+      var roots = [];
+      var k, i, j, n;
+
+      // Adds the nodes below root in the server tree of subquery i, breadth
+      // first. Each object gets one node below root, under the first of its
+      // parents reached, so shared descendants and cycles are not expanded
+      // again.
+      var add_tree_children = function(i, root, edges) {
+        var seen = {};
+        var queue = [root];
+        seen[root.object.id] = true;
+        while (queue.length > 0) {
+          var node = queue.shift();
+          var ids = edges.children[node.object.id] || [];
+          for (var c=0; c<ids.length; c++) {
+            var obj = parsed.objects[i][ids[c]];
+            if (!obj || seen[obj.id]) { continue; }
+            seen[obj.id] = true;
+            var child = new CuriousTreeNode(obj, node.relationship, node);
+            if (!node.children[node.relationship]) { node.children[node.relationship] = []; }
+            node.children[node.relationship].push(child);
+            if (!nodes[i][obj.id]) { nodes[i][obj.id] = []; }
+            nodes[i][obj.id].push(child);
+            queue.push(child);
+          }
+        }
+      };
+
+      nodes.push({});
+      for (k in parsed.objects[0]) {
+        n = new CuriousTreeNode(parsed.objects[0][k], relationships[0], null);
+        nodes[0][k] = [n];
+        roots.push(n);
+      }
+
+      for (i=1; i<results.results.length; i++) {
+        var rel = relationships[i];
+        var res_tups = results.results[i].objects;
+        var join_nodes = nodes[results.results[i].join_index];
+        var tree = results.results[i].tree;
+        var edges = (tree !== undefined && tree !== null) ? server_tree_edges(tree) : null;
+        nodes.push({});
+        if (join_nodes === undefined) { continue; }
+
+        for (j=0; j<res_tups.length; j++) {
+          var obj = parsed.objects[i][res_tups[j][0]];
+          var parents = join_nodes[res_tups[j][1]];
+          if (!obj || !parents) { continue; }
+          // objects below the roots of the server tree are added under their
+          // parents in it instead, if those are in the result
+          if (edges && !edges.roots[obj.id] &&
+              (edges.parents[obj.id] || []).some(function(p) { return !!parsed.objects[i][p]; })) {
+            continue;
+          }
+          if (!nodes[i][obj.id]) { nodes[i][obj.id] = []; }
+          for (k=0; k<parents.length; k++) {
+            n = new CuriousTreeNode(obj, rel, parents[k]);
+            if (!parents[k].children[rel]) { parents[k].children[rel] = []; }
+            parents[k].children[rel].push(n);
+            nodes[i][obj.id].push(n);
+            if (edges) { add_tree_children(i, n, edges); }
+          }
+        }
+      }
+
+      return new CuriousTree(roots, parsed.trees);
+    }
+
+    // Checks the structure of a Curious result against the query's
+    // relationships, before parse_results_with_trees builds objects from it.
+    // Problems with the result as a whole always throw; these include
+    // subqueries whose fields do not include id, as none of their objects
+    // could be told apart or joined. Problems with single rows or join tuples
+    // throw in strict mode; otherwise they are reported through warn
+    // (console.warn by default) and the rows are left out. Returns the result
+    // to parse, which is a cleaned copy if rows were left out. Errors thrown
+    // have a problems property listing every problem found.
+
+    function validate_results(relationships, results, strict, warn) {
+      var problems = [];
+      var row_problems = [];
+      var cleaned = null;
+      var i, j, data, res, n_fields, objects, urls, tuples, name, e;
+
+      function where(i) {
+        return 'subquery '+i+(relationships && relationships[i] ? " ('"+relationships[i]+"')" : '');
+      }
+
+      function is_index(x) {
+        return typeof x === 'number' && x % 1 === 0;
+      }
+
+      if (!results || typeof results !== 'object') {
+        problems.push('result is not an object');
+      }
+      else if (!Array.isArray(results.data) || !Array.isArray(results.results)) {
+        problems.push('result must have data and results arrays');
+      }
+      else {
+        if (results.data.length !== results.results.length) {
+          problems.push('result has '+results.data.length+' data entries but '+
+                        results.results.length+' results entries');
+        }
+        if (relationships && relationships.length !== results.data.length) {
+          problems.push('query has '+relationships.length+' relationships but result has '+
+                        results.data.length+' subqueries');
+        }
+      }
+
+      if (problems.length === 0) {
+        cleaned = {data: [], results: []};
+        for (name in results) {
+          if (name !== 'data' && name !== 'results') { cleaned[name] = results[name]; }
+        }
+
+        for (i=0; i<results.data.length; i++) {
+          data = results.data[i];
+          res = results.results[i];
+
+          if (!data || typeof data !== 'object') {
+            problems.push(where(i)+': data entry is not an object');
+            continue;
+          }
+          if (!res || typeof res !== 'object') {
+            problems.push(where(i)+': results entry is not an object');
+            continue;
+          }
+          if (typeof res.model !== 'string') {
+            problems.push(where(i)+': results entry has no model');
+          }
+
+          objects = data.objects;
+          urls = data.urls;
+          if (objects !== undefined) {
+            if (!Array.isArray(objects)) {
+              problems.push(where(i)+': objects is not an array');
+              continue;
+            }
+            if (!Array.isArray(data.fields)) {
+              problems.push(where(i)+': objects given without fields');
+              continue;
+            }
+            if (data.fields.indexOf('id') < 0) {
+              problems.push(where(i)+': fields do not include id');
+            }
+            n_fields = data.fields.length;
+            if (!Array.isArray(urls)) {
+              row_problems.push(where(i)+': urls missing, objects will have no __url');
+              urls = [];
+            }
+            else if (urls.length !== objects.length) {
+              row_problems.push(where(i)+': '+objects.length+' objects but '+urls.length+' urls');
+            }
+
+            data = {fields: data.fields, objects: [], urls: []};
+            for (j=0; j<objects.length; j++) {
+              if (!Array.isArray(objects[j]) || objects[j].length !== n_fields) {
+                row_problems.push(where(i)+': object row '+j+' has '+
+                                  (Array.isArray(objects[j]) ? objects[j].length : 'no')+
+                                  ' values for '+n_fields+' fields');
+                continue;
+              }
+              data.objects.push(objects[j]);
+              data.urls.push(urls[j] === undefined ? null : urls[j]);
+            }
+          }
+
+          if (i > 0) {
+            if (!is_index(res.join_index) || res.join_index < 0 || res.join_index >= results.data.length ||
+                res.join_index === i) {
+              problems.push(where(i)+': join_index '+res.join_index+' does not point to another of the '+
+                            results.data.length+' subqueries');
+              continue;
+            }
+            if (!Array.isArray(res.objects)) {
+              problems.push(where(i)+': results entry has no join tuples');
+              continue;
+            }
+            tuples = [];
+            for (j=0; j<res.objects.length; j++) {
+              if (!Array.isArray(res.objects[j]) || res.objects[j].length < 2) {
+                row_problems.push(where(i)+': join tuple '+j+' is not an [object id, source id] pair');
+                continue;
+              }
+              tuples.push(res.objects[j]);
+            }
+            res = {model: res.model, join_index: res.join_index, objects: tuples, tree: res.tree};
+          }
+
+          cleaned.data.push(data);
+          cleaned.results.push(res);
+        }
+      }
+
+      if (problems.length > 0 || (strict && row_problems.length > 0)) {
+        problems = problems.concat(row_problems);
+        e = new Error('invalid result: '+problems.join('; '));
+        e.problems = problems;
+        throw e;
+      }
+
+      if (row_problems.length > 0) {
+        warn = warn || function(msg) { console.warn(msg); };
+        for (i=0; i<row_problems.length; i++) { warn('Curious: '+row_problems[i]); }
+        return cleaned;
+      }
+      return results;
+    }
+
+    // Writes a parsed result graph in the format of a Curious result, which
+    // has no cycles and can go through JSON.stringify. relationships are the
+    // query's, objects are keyed by relationship as given to objects_cb, and
+    // trees, optional, are the trees given to trees_cb. Fields are the ones
+    // loaded from the server, with their current values; the loaded values
+    // of changed fields are kept, so the rebuilt objects have the same
+    // changes. Subqueries are joined as joins, or else objects.__joins, say;
+    // these are the joins of parse_results_with_trees, and objects given to
+    // objects_cb have them. Without them, each subquery is joined to the
+    // latest earlier one whose objects have its relationship.
+    //
+    // Field values are written as they are, so once through JSON a Date is an
+    // ISO string. rehydrate only turns it back into a Date with a schema
+    // giving the field a date or datetime type; the client's rehydrate uses
+    // the client's schemas.
+    function serialize(relationships, objects, trees, joins) {
+      var keys = output_keys(relationships);
+      var subqueries = [];
+      var data = [];
+      var results = [];
+      var i, j, k, n;
+
+      for (i=0; i<relationships.length; i++) { subqueries.push(objects[keys[i]] || []); }
+      joins = joins || objects.__joins || null;
+
+      for (i=0; i<subqueries.length; i++) {
+        var objs = subqueries[i];
+        var fields = ['id'];
+        var rows = [];
+        var urls = [];
+        var originals = [];
+        var dirty = false;
+        var model = null;
+
+        for (j=0; j<objs.length; j++) {
+          var names = objs[j].__original ? Object.keys(objs[j].__original) : object_fields(objs[j], relationships);
+          for (k=0; k<names.length; k++) {
+            if (fields.indexOf(names[k]) < 0) { fields.push(names[k]); }
+          }
+          if (model === null) { model = objs[j].__model; }
+        }
+
+        for (j=0; j<objs.length; j++) {
+          var row = [];
+          for (k=0; k<fields.length; k++) {
+            row.push(objs[j][fields[k]] === undefined ? null : objs[j][fields[k]]);
+          }
+          rows.push(row);
+          urls.push(objs[j].__url === undefined ? null : objs[j].__url);
+          n = objs[j].__original ? changes(objs[j]) : {};
+          if (Object.keys(n).length > 0) {
+            var o = {};
+            for (k in n) { o[k] = objs[j].__original[k]; }
+            originals.push(o);
+            dirty = true;
+          }
+          else { originals.push(null); }
+        }
+
+        data.push({fields: fields, objects: rows, urls: urls});
+        if (dirty) { data[i].originals = originals; }
+        if (i === 0) { results.push({model: model, join_index: -1, objects: []}); }
+        else if (joins && joins[i]) {
+          results.push({model: model, join_index: joins[i].join_index,
+                        objects: recorded_tuples(subqueries, joins[i], i)});
+        }
+        else {
+          results.push({model: model, join_index: join_source(subqueries, relationships, i),
+                        objects: join_tuples(subqueries, relationships, i)});
+        }
+        if (trees && trees[i] !== undefined && trees[i] !== null) { results[i].tree = trees[i]; }
+      }
+
+      return {relationships: relationships.slice(), result: {data: data, results: results}};
+    }
+
+    // fields of an object not loaded by the parser
+    function object_fields(obj, relationships) {
+      var r = [];
+      for (var k in obj) {
+        var v = obj[k];
+        if (k.substring(0, 2) === '__' || relationships.indexOf(k) >= 0 || typeof v === 'function' ||
+            Array.isArray(v) || (v !== null && typeof v === 'object' && v.__model)) { continue; }
+        r.push(k);
+      }
+      return r;
+    }
+
+    function join_source(subqueries, relationships, i) {
+      for (var j=i-1; j>=0; j--) {
+        for (var k=0; k<subqueries[j].length; k++) {
+          if (Array.isArray(subqueries[j][k][relationships[i]])) { return j; }
+        }
+      }
+      return i-1;
+    }
+
+    // the recorded join tuples of subquery i whose objects are serialized
+    function recorded_tuples(subqueries, join, i) {
+      var ids = function(objs) {
+        var r = {};
+        for (var j=0; j<(objs || []).length; j++) { r[objs[j].id] = true; }
+        return r;
+      };
+      var obj_ids = ids(subqueries[i]);
+      var src_ids = ids(subqueries[join.join_index]);
+      return join.objects.filter(function(t) { return obj_ids[t[0]] && src_ids[t[1]]; })
+                         .map(function(t) { return [t[0], t[1]]; });
+    }
+
+    function join_tuples(subqueries, relationships, i) {
+      var src = subqueries[join_source(subqueries, relationships, i)];
+      var tuples = [];
+      for (var j=0; j<src.length; j++) {
+        var related = src[j][relationships[i]] || [];
+        for (var k=0; k<related.length; k++) {
+          if (subqueries[i].indexOf(related[k]) >= 0) { tuples.push([related[k].id, src[j].id]); }
+        }
+      }
+      return tuples;
+    }
+
+    // Rebuilds the graph written by serialize. options are objfs, models,
+    // schemas, warn and identity_map, as for parse_results_with_trees, and
+    // existing_objects, an array of object arrays as for
+    // CuriousQuery.set_existing_objects, to rebuild into. Returns
+    // {objects, trees, tree}, with objects keyed by relationship.
+    function rehydrate(serialized, options) {
+      var relationships = serialized.relationships;
+      var result = serialized.result;
+      var existing = null;
+      var res, i, j, d, id_index, obj;
+
+      options = options || {};
+      if (options.existing_objects) { existing = convert_array_array_to_dict_array(options.existing_objects); }
+      res = parse_results_with_trees(relationships, options.objfs || null, result, existing,
+                                     options.identity_map || null, options.models || null,
+                                     options.schemas || null, options.warn || null);
+
+      for (i=0; i<result.data.length; i++) {
+        d = result.data[i];
+        if (!d.originals) { continue; }
+        id_index = d.fields.indexOf('id');
+        for (j=0; j<d.objects.length; j++) {
+          obj = res.objects[i][d.objects[j][id_index]];
+          if (obj && d.originals[j]) { set_original(obj, d.originals[j]); }
+        }
+      }
+
+      return {objects: convert_results_to_output(relationships, res.objects, res.joins), trees: res.trees,
+              tree: build_tree(relationships, result, res)};
+    }
+
+    function dict_to_array(d) {
+      var r = [];
+      for (var k in d) { r.push(d[k]); }
+      return r;
+    }
+
+    function array_to_dict(a) {
+      var d = {};
+      for (var i=0; i<a.length; i++) {
+        d[a[i].id] = a[i];
+      }
+      return d;
+    }
+
+    function id_list(objects) {
+      var ids = [];
+      for (var i=0; i<objects.length; i++) {
+        if (ids.indexOf(objects[i].id) < 0) {
+          ids.push(objects[i].id);
+        }
+      }
+      return ids;
+    }
+
+    function id_str(objects) {
+      var ids = id_list(objects);
+      if (ids.length === 0) { return null; }
+      return ids.join(',');
+    }
+
+    return {
+      parse_with_trees: parse_results_with_trees,
+      tree: build_tree,
+      validate: validate_results,
+      changes: changes,
+      is_dirty: is_dirty,
+      original: original,
+      revert: revert,
+      mark_clean: mark_clean,
+      merge_saved: merge_saved,
+      merge_loaded: merge_loaded,
+      serialize: serialize,
+      rehydrate: rehydrate,
+      path: function(objects, path) { return new CuriousChain(objects).follow(path).value(); },
+      group_by: function(objects, path) { return new CuriousChain(objects).group_by(path); },
+      chain: function(objects) { return new CuriousChain(objects); },
+      d2a: dict_to_array,
+      a2d: array_to_dict,
+      id_list: id_list,
+      id_str: id_str,
+    }
+
+  }());
+
+  // Keys of the objects of each relationship in the output; a name used more
+  // than once gets _2, _3, ... appended
+  function output_keys(relationships) {
+    var i, j;
+    var used = {};
+    var keys = [];
+
+    for (i = 0; i < relationships.length; i++) {
+      if (used[relationships[i]]) {
+        j = 2;
+        while (used[relationships[i]+'_'+j]) { j++; }
+        keys.push(relationships[i]+'_'+j);
+      }
+      else
+        keys.push(relationships[i]);
+      used[keys[i]] = true;
+    }
+
+    return keys;
+  }
+
+  // joins, from parse_results_with_trees, are kept in a non-enumerable
+  // __joins property for CuriousObjects.serialize
+  function convert_results_to_output(relationships, objects, joins) {
+    var keys = output_keys(relationships);
+    var output = {};
+
+    for (var i = 0; i < objects.length; i++) {
+      output[keys[i]] = CuriousObjects.d2a(objects[i]);
+    }
+    if (joins) {
+      Object.defineProperty(output, '__joins', {value: joins, writable: true, enumerable: false,
+                                                configurable: true});
+    }
+
+    return output;
+  }
+
+  // Objects parsed from a response that curious-offline.js served from
+  // storage get non-enumerable offline and stored_at properties, copied from
+  // the result, so callers that see only the objects, as with promise(), can
+  // tell they may be stale
+  function mark_offline(objects, stored_at) {
+    Object.defineProperty(objects, 'offline', {value: true, writable: true, enumerable: false,
+                                               configurable: true});
+    Object.defineProperty(objects, 'stored_at', {value: stored_at, writable: true, enumerable: false,
+                                                 configurable: true});
+  }
+
+  function get_args(query_args, app_default_args) {
+    var k;
+    var args = {x: 0, fk: 0}; // default args
+    var immutable_args = {d: 1}; // these are always set, no matter what
+
+    if (app_default_args) {
+      for (k in app_default_args) {
+        if (app_default_args.hasOwnProperty(k)) {
+          args[k] = app_default_args[k];
+        }
+      }
+    }
+
+    if (query_args) {
+      for (k in query_args) {
+        if (query_args.hasOwnProperty(k)) {
+          args[k] = query_args[k];
+        }
+      }
+    }
+
+    for (k in immutable_args) {
+      args[k] = immutable_args[k];
+    }
+
+    return args;
+  }
+
+  function convert_array_array_to_dict_array(objects_array) {
     var i;
     var dict_array = [];
     for (i=0; i<objects_array.length; i++) {
@@ -342,13 +2450,654 @@
     return dict_array;
   }
 
+  // Error handed to error callbacks and promise rejections. status is the HTTP
+  // status, or null if the request never got a response; response is the raw
+  // response body, if any; query is the Curious query string that failed.
+  // cancelled and timed_out are set for requests given up on by the client.
+
+  function CuriousError(message, status, query, response) {
+    this.name = 'CuriousError';
+    this.message = message;
+    this.status = (status === undefined || status === 0) ? null : status;
+    this.query = query;
+    this.response = response === undefined ? null : response;
+    this.cancelled = false;
+    this.timed_out = false;
+    this.stack = (new Error(message)).stack;
+  }
+
+  CuriousError.prototype = Object.create(Error.prototype);
+  CuriousError.prototype.constructor = CuriousError;
+
+  // Hands an error to error_cb or, when there is none, to warn, or else to
+  // console.error, so errors of requests made without error_cb are not lost.
+  function report_error(error_cb, error, warn) {
+    if (error_cb) { error_cb(error); }
+    else if (warn) { warn('Curious: '+error.message); }
+    else { console.error(error); }
+  }
+
+  function server_error_message(resp) {
+    if (typeof resp === 'string' && resp !== '') { return resp; }
+    if (resp && typeof resp.error === 'string') { return resp.error; }
+    if (resp && typeof resp.message === 'string') { return resp.message; }
+    return null;
+  }
+
+  // Helpers shared by the HTTP transports (curious-xhr.js, curious-fetch.js,
+  // request-http.js). The transports look this file up when they are used
+  // rather than when they are loaded, so on pages without a module system it
+  // can be loaded after them.
+
+  var CuriousTransport = {
+    // a response body, parsed as JSON where it is JSON
+    parse_response: function(text) {
+      var r = null;
+      try {
+        r = JSON.parse(text);
+      }
+      catch(e) {
+        r = text;
+      }
+      return r;
+    },
+
+    query_string: function(params) {
+      var r = [];
+      for (var n in params) {
+        var v = params[n];
+        n = encodeURIComponent(n);
+        r.push(v == null ? n : (n + '=' + encodeURIComponent(v)));
+      }
+      return r.join('&');
+    },
+
+    // A CuriousRetry for retry_options, or null if there are none, so
+    // curious-retry.js is needed only by transports that retry. A global
+    // CuriousRetry, from a script tag, is used first: on pages with an AMD
+    // loader, the global require is asynchronous and cannot load it.
+    retry: function(retry_options) {
+      var Retry;
+      if (!retry_options) { return null; }
+      if (typeof window !== 'undefined' && window.CuriousRetry) { Retry = window.CuriousRetry; }
+      else if (typeof exports !== 'undefined' && exports && typeof require === 'function') {
+        Retry = require('./curious-retry.js').CuriousRetry;
+      }
+      else { throw("Load curious-retry.js to retry requests"); }
+      return new Retry(retry_options);
+    }
+  };
+
+  // Cache of raw Curious responses, keyed by the full set of request args
+  // (which include the query), and by the URL and headers of requests whose
+  // middleware may change them, e.g. to add a user's auth token. Responses
+  // rather than parsed objects are kept, so every caller still gets its own
+  // objects built with its own objfs and existing objects. Concurrent
+  // requests with the same key share one HTTP request. Options:
+  //
+  //   ttl       - milliseconds a response stays fresh; null for no expiry
+  //   max_size  - number of responses kept; least recently used ones are
+  //               evicted first. Defaults to 100.
+
+  // the args, with their names sorted, as JSON
+  function cache_key(args) {
+    var keys = [];
+    var parts = [];
+    for (var k in args) {
+      if (args.hasOwnProperty(k)) { keys.push(k); }
+    }
+    keys.sort();
+    for (var i=0; i<keys.length; i++) {
+      parts.push([keys[i], args[keys[i]]]);
+    }
+    return JSON.stringify(parts);
+  }
+
+  // a short hash of request headers, so keys do not hold them in the clear;
+  // null if there are none
+  function headers_key(headers) {
+    var names = Object.keys(headers || {}).sort();
+    var text, h, i;
+    if (names.length === 0) { return null; }
+    text = JSON.stringify(names.map(function(n) { return [n.toLowerCase(), headers[n]]; }));
+    h = 5381;
+    for (i=0; i<text.length; i++) { h = ((h * 33) ^ text.charCodeAt(i)) >>> 0; }
+    return h.toString(36);
+  }
+
+  function response_models(resp) {
+    var models = [];
+    var results = resp.result.results || [];
+    for (var i=0; i<results.length; i++) {
+      if (results[i] && results[i].model && models.indexOf(results[i].model) < 0) {
+        models.push(results[i].model);
+      }
+    }
+    return models;
+  }
+
+  // Calls f with args such that an exception it throws does not keep the
+  // caller from calling its other callbacks; the exception is thrown again
+  // from its own tick.
+  function call_isolated(f, args) {
+    try {
+      f.apply(null, args);
+    }
+    catch (e) {
+      setTimeout(function() { throw e; }, 0);
+    }
+  }
+
+  var CuriousCache = function(options) {
+    options = options || {};
+    this.ttl = (options.ttl === undefined) ? null : options.ttl;
+    this.max_size = (options.max_size === undefined) ? 100 : options.max_size;
+    this.entries = {};  // key to {resp, status, models, time}
+    this.lru = [];      // keys, least recently used first
+    this.pending = {};  // key to {waiters, stale} for requests in flight
+  };
+
+  CuriousCache.prototype = {
+    lookup: function(key) {
+      var entry = this.entries[key];
+      if (entry === undefined) { return null; }
+      this.lru.splice(this.lru.indexOf(key), 1);
+      if (this.ttl !== null && (new Date()).getTime() - entry.time > this.ttl) {
+        delete this.entries[key];
+        return null;
+      }
+      this.lru.push(key);
+      return entry;
+    },
+
+    store: function(key, resp, status) {
+      if (this.entries[key] !== undefined) {
+        this.lru.splice(this.lru.indexOf(key), 1);
+      }
+      this.entries[key] = {resp: resp, status: status, models: response_models(resp),
+                           time: (new Date()).getTime()};
+      this.lru.push(key);
+      while (this.lru.length > this.max_size) {
+        delete this.entries[this.lru.shift()];
+      }
+    },
+
+    // Calls success_cb or error_cb like a transport would, either from the
+    // cache, by joining a request already in flight, or by calling send() to
+    // issue a new request. Returns the request object if send() was called.
+    // scope, {url, headers}, is part of the key when given.
+    fetch: function(args, send, success_cb, error_cb, scope) {
+      var self = this;
+      var key = cache_key(args);
+      var entry, pending, req;
+
+      if (scope) { key = JSON.stringify([scope.url, headers_key(scope.headers)])+key; }
+      entry = this.lookup(key);
+
+      if (entry) {
+        setTimeout(function() { success_cb(entry.resp, entry.status); }, 0);
+        return null;
+      }
+
+      if (this.pending[key]) {
+        this.pending[key].waiters.push([success_cb, error_cb]);
+        return null;
+      }
+
+      pending = this.pending[key] = {waiters: [[success_cb, error_cb]], stale: false};
+
+      req = send().success(function(resp, status) {
+        var i;
+        delete self.pending[key];
+        if (!pending.stale && resp && resp.result) { self.store(key, resp, status); }
+        for (i=0; i<pending.waiters.length; i++) { call_isolated(pending.waiters[i][0], [resp, status]); }
+      });
+      if (req && typeof req.error === 'function') {
+        req = req.error(function(resp, status) {
+          var i;
+          delete self.pending[key];
+          for (i=0; i<pending.waiters.length; i++) { call_isolated(pending.waiters[i][1], [resp, status]); }
+        });
+      }
+      return req;
+    },
+
+    // Drop cached responses that include objects of the given model. Which
+    // models a request in flight returns is not known until it responds, so
+    // no request in flight is cached when it completes.
+    invalidate: function(model) {
+      var k;
+      for (k in this.entries) {
+        if (this.entries[k].models.indexOf(model) >= 0) {
+          delete this.entries[k];
+          this.lru.splice(this.lru.indexOf(k), 1);
+        }
+      }
+      for (k in this.pending) { this.pending[k].stale = true; }
+    },
+
+    clear: function() {
+      this.entries = {};
+      this.lru = [];
+      for (var k in this.pending) { this.pending[k].stale = true; }
+    },
+
+    size: function() {
+      return this.lru.length;
+    }
+  };
+
+  // The keys, for curious-mock.js and curious-offline.js to match requests
+  // the same way
+  CuriousCache.key = cache_key;
+  CuriousCache.headers_key = headers_key;
+
+  // Middleware for CuriousQ requests. A middleware is an object with either or
+  // both of these methods, each of which may return a Promise:
+  //
+  //   request(ctx)          - called before the request is sent, with
+  //                           ctx = {url, query, method, args, headers}. May
+  //                           change ctx.url, ctx.args and ctx.headers, or set
+  //                           ctx.response to a response ({result: ...}) to
+  //                           skip the HTTP request and remaining request
+  //                           middleware.
+  //   response(result, ctx) - called with the result of the response before it
+  //                           is parsed, and ctx.status set. Returns a new
+  //                           result, or undefined to keep it.
+  //
+  // Middleware runs in the order it was added. A middleware that throws or
+  // rejects fails the query with a CuriousError.
+
+  function run_request_middleware(middleware, ctx) {
+    var p = Promise.resolve();
+    function step(m) {
+      return function() {
+        if (!ctx.response) { return m.request(ctx); }
+      };
+    }
+    for (var i=0; i<middleware.length; i++) {
+      if (middleware[i].request) { p = p.then(step(middleware[i])); }
+    }
+    return p;
+  }
+
+  function run_response_middleware(middleware, result, ctx) {
+    var p = Promise.resolve(result);
+    function step(m) {
+      return function(r) {
+        return Promise.resolve(m.response(r, ctx)).then(function(new_r) {
+          return new_r === undefined ? r : new_r;
+        });
+      };
+    }
+    for (var i=0; i<middleware.length; i++) {
+      if (middleware[i].response) { p = p.then(step(middleware[i])); }
+    }
+    return p;
+  }
+
+  function has_response_middleware(middleware) {
+    for (var i=0; i<middleware.length; i++) {
+      if (middleware[i].response) { return true; }
+    }
+    return false;
+  }
+
+  // Collects Curious requests made close together and sends them in batches.
+  // A CuriousBatcher is a transport itself: post(url, args, config) queues the
+  // request and returns an object with success, error and abort, like the
+  // transports it wraps. Queued requests are sent together after wait
+  // milliseconds, in the next tick once max_size of them are queued, or on
+  // flush(); requests to different URLs or with different headers go in
+  // separate batches.
+  //
+  // Options:
+  //
+  //   url        - batch endpoint. Requests are sent in one POST of
+  //                {queries: [args, ...]}, and the endpoint answers with
+  //                {results: [response, ...]} in the same order, where each
+  //                response is what the Curious endpoint would have sent. A
+  //                response with an error and no result fails its request,
+  //                with the response's status, else 500.
+  //   wait       - milliseconds to collect requests for, default 0, i.e.
+  //                requests made in the same tick.
+  //   max_size   - most requests in one batch; unlimited by default.
+  //   aggregate  - function(requests, done) sending a batch some other way;
+  //                requests are {url, args, headers}, and done gets an array
+  //                of {ok, response, status} in the same order.
+  //
+  // Without url or aggregate, requests of a batch are sent separately, and
+  // their responses delivered together.
+
+  var CuriousBatcher = function(http, options) {
+    options = options || {};
+    this.http = http;
+    this.url = options.url || null;
+    this.wait = options.wait || 0;
+    this.max_size = options.max_size || null;
+    this.aggregate = options.aggregate || null;
+    this.groups = {};
+    this.timer = null;
+  };
+
+  CuriousBatcher.prototype = {
+    post: function(url, args, config) {
+      var self = this;
+      var headers = (config && config.headers) || {};
+      var key = JSON.stringify([url, headers]);
+      var entry = {url: url, args: args, headers: headers, success: null, error: null, aborted: false};
+      var group;
+
+      if (!this.groups[key]) { this.groups[key] = []; }
+      group = this.groups[key];
+      group.push(entry);
+
+      // a full batch still waits for the end of the tick, so the caller can
+      // attach its callbacks before a synchronous aggregate answers
+      if (this.max_size && group.length >= this.max_size) {
+        delete this.groups[key];
+        setTimeout(function() { self.send(group); }, 0);
+      }
+      else if (this.timer === null) {
+        this.timer = setTimeout(function() { self.flush(); }, this.wait);
+      }
+
+      return {
+        success: function(cb) { entry.success = cb; return this; },
+        error: function(cb) { entry.error = cb; return this; },
+        // the batch is still sent, but neither callback will be called
+        abort: function() { entry.aborted = true; return this; }
+      };
+    },
+
+    // sends all queued requests now
+    flush: function() {
+      var groups = this.groups;
+      if (this.timer !== null) { clearTimeout(this.timer); }
+      this.timer = null;
+      this.groups = {};
+      for (var k in groups) { this.send(groups[k]); }
+    },
+
+    send: function(entries) {
+      var requests = [];
+      var aggregate = this.aggregate || (this.url ? this.send_to_endpoint : this.send_separately);
+
+      for (var i=0; i<entries.length; i++) {
+        if (!entries[i].aborted) {
+          requests.push({url: entries[i].url, args: entries[i].args, headers: entries[i].headers});
+        }
+        else { entries.splice(i--, 1); }
+      }
+      if (entries.length === 0) { return; }
+
+      // each entry is delivered on its own, so a callback that throws does not
+      // keep later entries from getting their responses
+      aggregate.call(this, requests, function(responses) {
+        for (var i=0; i<entries.length; i++) {
+          var e = entries[i];
+          var r = responses[i] || {ok: false, response: {error: 'No response in batch'}, status: null};
+          if (e.aborted) { continue; }
+          if (r.ok) {
+            if (e.success) { call_isolated(e.success, [r.response, r.status]); }
+          }
+          else if (e.error) { call_isolated(e.error, [r.response, r.status]); }
+        }
+      });
+    },
+
+    send_to_endpoint: function(requests, done) {
+      var args = [];
+      var req;
+
+      for (var i=0; i<requests.length; i++) { args.push(requests[i].args); }
+      req = Object.keys(requests[0].headers).length > 0 ?
+            this.http.post(this.url, {queries: args}, {headers: requests[0].headers}) :
+            this.http.post(this.url, {queries: args});
+
+      req = req.success(function(resp, status) {
+        var responses = [];
+        var results = (resp && resp.results) || [];
+        for (var i=0; i<requests.length; i++) {
+          var r = results[i];
+          if (r && (r.result || !r.error)) {
+            responses.push({ok: true, response: r, status: status || 200});
+          }
+          else {
+            responses.push({ok: false, response: r || {error: 'No response in batch'},
+                            status: (r && r.status) || 500});
+          }
+        }
+        done(responses);
+      });
+      if (req && typeof req.error === 'function') {
+        req.error(function(resp, status) {
+          var responses = [];
+          for (var i=0; i<requests.length; i++) {
+            responses.push({ok: false, response: resp, status: status});
+          }
+          done(responses);
+        });
+      }
+    },
+
+    send_separately: function(requests, done) {
+      var http = this.http;
+      var responses = [];
+      var left = requests.length;
+
+      requests.forEach(function(r, i) {
+        var req;
+        function got(ok) {
+          return function(resp, status) {
+            responses[i] = {ok: ok, response: resp, status: status};
+            left--;
+            if (left === 0) { done(responses); }
+          };
+        }
+
+        req = Object.keys(r.headers).length > 0 ?
+              http.post(r.url, r.args, {headers: r.headers}) : http.post(r.url, r.args);
+        req = req.success(got(true));
+        if (req && typeof req.error === 'function') { req.error(got(false)); }
+      });
+    }
+  };
+
+  // Records what each request of a CuriousQ did, for debugging. Each record
+  // has:
+  //
+  //   query         - the query string
+  //   url, args     - where the request went, and its args as merged with the
+  //                   client's default params, both as request middleware
+  //                   left them
+  //   network_ms    - milliseconds from sending the request to the response,
+  //                   null if it got none
+  //   parse_ms      - milliseconds spent checking and parsing the response
+  //   total_ms      - milliseconds from get() to the end of the request,
+  //                   including middleware
+  //   status        - HTTP status, null if the request got no response
+  //   payload_size  - length of the response as JSON, in characters. The
+  //                   transports hand over parsed responses, so the bytes
+  //                   that went over the network are not known.
+  //   counts        - number of objects of each relationship
+  //   dropped       - join tuples left out because their object or source
+  //                   object is not in the response, as {subquery,
+  //                   relationship, object_id, source_id, missing}, where
+  //                   missing is 'object', 'source' or 'both'
+  //   error         - error message of a failed request, else null
+  //
+  // Options:
+  //
+  //   logger       - function(record) called as each request ends, e.g.
+  //                  CuriousDebug.console_logger
+  //   max_records  - number of records kept, most recent last; default 100
+
+  function debug_now() {
+    if (typeof performance !== 'undefined' && performance.now) { return performance.now(); }
+    return (new Date()).getTime();
+  }
+
+  var CuriousDebug = function(options) {
+    options = options || {};
+    this.logger = options.logger || null;
+    this.max_records = options.max_records === undefined ? 100 : options.max_records;
+    this.records = [];
+  };
+
+  CuriousDebug.prototype = {
+    start: function(query, url, args) {
+      return {query: query, url: url, args: JSON.parse(JSON.stringify(args)),
+              network_ms: null, parse_ms: null, total_ms: null, status: null, payload_size: null,
+              counts: null, dropped: [], error: null,
+              started: debug_now(), sent: null};
+    },
+
+    end: function(record, error) {
+      record.total_ms = debug_now() - record.started;
+      record.error = error || null;
+      delete record.started;
+      delete record.sent;
+      this.records.push(record);
+      while (this.records.length > this.max_records) { this.records.shift(); }
+      if (this.logger) { this.logger(record); }
+    },
+
+    last: function() {
+      return this.records.length > 0 ? this.records[this.records.length-1] : null;
+    },
+
+    clear: function() {
+      this.records = [];
+    }
+  };
+
+  // one line per request, plus one per dropped join tuple
+  CuriousDebug.console_logger = function(record) {
+    var counts = [];
+    for (var k in record.counts) { counts.push(k+': '+record.counts[k]); }
+    console.log('Curious: '+record.query+' - '+
+                (record.error ? 'failed: '+record.error : counts.join(', '))+
+                ' ('+Math.round(record.total_ms)+' ms'+
+                (record.network_ms !== null ? ', network '+Math.round(record.network_ms)+' ms' : '')+
+                (record.parse_ms !== null ? ', parse '+Math.round(record.parse_ms)+' ms' : '')+
+                (record.payload_size !== null ? ', '+record.payload_size+' chars of JSON' : '')+')');
+    for (var i=0; i<record.dropped.length; i++) {
+      var d = record.dropped[i];
+      console.log('Curious:   dropped '+d.relationship+' join ['+d.object_id+', '+d.source_id+']: '+
+                  d.missing+' not in response');
+    }
+  };
+
   // Helper for making a Curious query and getting back parsed objects. Use with
   // angular $http compatible HTTP request facilities (e.g. jQuery?)
+  //
+  // options:
+  //   cache        - options for a CuriousCache of responses (see above), or
+  //                  true for the defaults. The cache is exposed as the
+  //                  client's cache property.
+  //   identity_map - true to merge all results into a CuriousIdentityMap,
+  //                  exposed as the client's identity_map property, or an
+  //                  existing CuriousIdentityMap to share.
+  //   middleware   - array of middleware (see above); more can be added with
+  //                  the client's use() method.
+  //   validation   - how responses are checked before parsing, see
+  //                  CuriousObjects.validate: 'strict' fails the query on any
+  //                  problem, 'lenient' (the default) skips bad rows with a
+  //                  warning, false skips the check.
+  //   warn         - function(message) getting the warnings about skipped
+  //                  rows, field values schemas cannot convert and failed
+  //                  watches. Default console.warn, or none if quiet is
+  //                  true; exposed as the client's warn property. Errors of
+  //                  requests made without error_cb also go to warn if it is
+  //                  given, else to console.error even if quiet is true.
+  //   models       - a CuriousModelRegistry, or an object mapping model names
+  //                  to classes, for building objects; exposed as the
+  //                  client's models property, to which more can be added.
+  //   schemas      - a CuriousSchemas, or options for one (see above), for
+  //                  converting field values; exposed as the client's schemas
+  //                  property, to which schemas can be registered. Schemas
+  //                  missing for models in a response are loaded before it
+  //                  is parsed.
+  //   debug        - options for a CuriousDebug (see above), or true for the
+  //                  defaults, to record what each request did; exposed as
+  //                  the client's debug property.
+  //   batch        - options for a CuriousBatcher (see above), or true for the
+  //                  defaults, to send queries made close together as one
+  //                  batch. Saves are not batched.
+  //
+  // Headers set by middleware are passed to http.post as an angular style
+  // config, i.e. http.post(url, args, {headers: headers}).
+
+  var CuriousQ = function(curious_url, http, app_default_params, quiet, options) {
+    var cache = null;
+    var identity_map = null;
+    var batcher = null;
+    var models;
+    var schemas;
+    var debug = null;
+    var middleware;
+    var validation;
+    var warn;
+    var warn_errors;
+
+    options = options || {};
+    middleware = (options.middleware || []).slice();
+    validation = options.validation === undefined ? 'lenient' : options.validation;
+    warn = options.warn || (quiet === true ? function() {} : function(msg) { console.warn(msg); });
+    warn_errors = options.warn || null;
+    if (options.cache) {
+      cache = new CuriousCache(options.cache === true ? {} : options.cache);
+    }
+    if (options.identity_map) {
+      identity_map = (options.identity_map === true) ? new CuriousIdentityMap() : options.identity_map;
+    }
+    models = (options.models instanceof CuriousModelRegistry) ? options.models
+                                                              : new CuriousModelRegistry(options.models);
+    schemas = (options.schemas instanceof CuriousSchemas) ? options.schemas
+                                                          : new CuriousSchemas(options.schemas);
+    if (options.debug) {
+      debug = (options.debug instanceof CuriousDebug) ? options.debug
+                                                      : new CuriousDebug(options.debug === true ? {} : options.debug);
+    }
+    if (options.batch) {
+      batcher = new CuriousBatcher(http, options.batch === true ? {} : options.batch);
+    }
 
-  var CuriousQ = function(curious_url, http, app_default_params, quiet) {
-    function get(q, relationships, objfs, params, existing_objects, objects_cb, trees_cb) {
+    // objects_cb gets the objects keyed by relationship, and the raw result of
+    // the response for callers that need fields beyond the objects; objects
+    // parsed from a response stored by curious-offline.js also have offline
+    // and stored_at, as the result does, without being enumerable. trees_cb
+    // gets the trees sent by the server for each subquery, and a CuriousTree of
+    // the parsed objects. options:
+    //
+    //   identity_map - used instead of the client's identity map
+    //   signal       - AbortSignal-like object ({aborted, addEventListener});
+    //                  aborting it cancels the request
+    //   timeout      - milliseconds after which the request is cancelled
+    //   batcher      - CuriousBatcher to send the request through, instead of
+    //                  the client's
+    //
+    // Once a request is cancelled or timed out, objects_cb and trees_cb are
+    // never called; error_cb gets a CuriousError with cancelled or timed_out
+    // set. The transport request is aborted if it has an abort() method and
+    // is not shared with other callers through the cache. Without error_cb,
+    // errors other than cancellation go to the warn option, or else to
+    // console.error.
+    function get(q, relationships, objfs, params, existing_objects, objects_cb, trees_cb, error_cb,
+                 options) {
       var args;
+      var ctx;
       var post_cb;
+      var err_cb;
+      var req = null;
+      var finished = false;
+      var timer = null;
+      var on_abort;
+      var record = null;
+      var finish, give_up, deliver, with_schemas, send, middleware_failed, responded, ended;
+
+      options = options || {};
 
       if (quiet === undefined || quiet !== true) {
         console.warn(q);
@@ -360,27 +3109,335 @@
 
       args = get_args(params, app_default_params);
       args.q = q;
+      ctx = {url: curious_url, query: q, method: 'POST', args: args, headers: {}, response: null};
+      if (debug) { record = debug.start(q, curious_url, args); }
+
+      // debug records: the response arrived, and the request is over
+      responded = function(resp, status) {
+        if (!record) { return; }
+        record.status = status || null;
+        if (record.sent !== null) { record.network_ms = debug_now() - record.sent; }
+        record.payload_size = resp === undefined ? null : JSON.stringify(resp).length;
+      };
+
+      ended = function(error) {
+        if (record) { debug.end(record, error); }
+      };
+
+      finish = function() {
+        finished = true;
+        if (timer !== null) { clearTimeout(timer); }
+        if (options.signal && options.signal.removeEventListener) {
+          options.signal.removeEventListener('abort', on_abort);
+        }
+      };
 
-      post_cb = function(resp) {
+      give_up = function(message, flag) {
+        var error;
+        if (finished) { return; }
+        finish();
+        ended(message);
+        if (req && !cache && typeof req.abort === 'function') { req.abort(); }
+        error = new CuriousError(message, null, q, null);
+        error[flag] = true;
+        // a request cancelled by the caller is not worth reporting
+        if (error_cb || flag !== 'cancelled') { report_error(error_cb, error, warn_errors); }
+      };
+
+      on_abort = function() { give_up('Curious request cancelled', 'cancelled'); };
+
+      middleware_failed = function(e) {
+        var message = 'Curious middleware failed: '+((e && e.message) || e);
+        if (finished) { return; }
+        finish();
+        ended(message);
+        report_error(error_cb, new CuriousError(message, null, q, null), warn_errors);
+      };
+
+      deliver = function(resp, status) {
         var objects;
         var res;
-        res = CuriousObjects.parse_with_trees(relationships, objfs, resp.result, existing_objects);
-        objects = convert_results_to_output(relationships, res.objects);
-        objects_cb(objects);
-        if (trees_cb) { trees_cb(res.trees); }
+        var result;
+        var error;
+        var parse_start = record ? debug_now() : null;
+        var k;
+
+        if (finished) { return; }
+        finish();
+
+        // only parse errors are caught here; exceptions thrown by the callbacks
+        // themselves should reach the caller as usual
+        try {
+          if (!resp || !resp.result) {
+            throw new Error(server_error_message(resp) || 'response has no result');
+          }
+          result = resp.result;
+          if (validation) {
+            result = CuriousObjects.validate(relationships, result, validation === 'strict', warn);
+          }
+          res = CuriousObjects.parse_with_trees(relationships, objfs, result, existing_objects,
+                                                options.identity_map || identity_map, models, schemas, warn);
+          objects = convert_results_to_output(relationships, res.objects, res.joins);
+          if (result.offline) { mark_offline(objects, result.stored_at); }
+        }
+        catch (e) {
+          error = new CuriousError('Cannot parse Curious response: '+(e.message || e), status, q, resp);
+          if (e.problems) { error.problems = e.problems; }
+          if (record) { record.parse_ms = debug_now() - parse_start; }
+          ended(error.message);
+          report_error(error_cb, error, warn_errors);
+          return;
+        }
+
+        if (record) {
+          record.parse_ms = debug_now() - parse_start;
+          record.counts = {};
+          for (k in objects) { record.counts[k] = objects[k].length; }
+          record.dropped = res.dropped;
+          ended(null);
+        }
+
+        objects_cb(objects, result);
+        if (trees_cb) { trees_cb(res.trees, CuriousObjects.tree(relationships, result, res)); }
+      };
+
+      // loads the schemas of models in the response that have none yet, or
+      // waits for them if another request is loading them
+      with_schemas = function(resp, status) {
+        var ready = schemas.ready(resp && resp.result);
+        if (ready === null) {
+          deliver(resp, status);
+          return;
+        }
+        ready.then(function() { deliver(resp, status); }, function(e) {
+          var message = 'Cannot load Curious schemas: '+((e && e.message) || e);
+          if (finished) { return; }
+          finish();
+          ended(message);
+          report_error(error_cb, new CuriousError(message, null, q, null), warn_errors);
+        });
+      };
+
+      post_cb = function(resp, status) {
+        if (finished) { return; }
+        responded(resp, status);
+        if (!resp || !resp.result || !has_response_middleware(middleware)) {
+          with_schemas(resp, status);
+          return;
+        }
+        ctx.status = status;
+        run_response_middleware(middleware, resp.result, ctx).then(function(result) {
+          var r = {};
+          for (var k in resp) { r[k] = resp[k]; }
+          r.result = result;
+          with_schemas(r, status);
+        }, middleware_failed);
+      };
+
+      err_cb = function(resp, status) {
+        var message = server_error_message(resp) || 'Curious request failed';
+        if (finished) { return; }
+        finish();
+        responded(resp, status);
+        ended(message);
+        report_error(error_cb, new CuriousError(message, status, q, resp), warn_errors);
+      };
+
+      if (options.signal && options.signal.aborted) {
+        setTimeout(on_abort, 0);
+        return null;
+      }
+      if (options.signal && options.signal.addEventListener) {
+        options.signal.addEventListener('abort', on_abort);
+      }
+      if (options.timeout) {
+        timer = setTimeout(function() {
+          give_up('Curious request timed out after '+options.timeout+' ms', 'timed_out');
+        }, options.timeout);
+      }
+
+      send = function() {
+        var post = function() {
+          var transport = options.batcher || batcher || http;
+          if (Object.keys(ctx.headers).length > 0) {
+            return transport.post(ctx.url, ctx.args, {headers: ctx.headers});
+          }
+          return transport.post(ctx.url, ctx.args);
+        };
+
+        if (finished) { return; }
+        if (record) {
+          record.url = ctx.url;
+          record.args = JSON.parse(JSON.stringify(ctx.args));
+        }
+        if (ctx.response) {
+          post_cb(ctx.response, 200);
+          return;
+        }
+        if (record) { record.sent = debug_now(); }
+
+        if (cache) {
+          // middleware may have set the URL, or headers telling users apart
+          req = cache.fetch(ctx.args, post, post_cb, err_cb,
+                            middleware.length > 0 ? {url: ctx.url, headers: ctx.headers} : null);
+          return;
+        }
+
+        req = post().success(post_cb);
+        if (req && typeof req.error === 'function') { req = req.error(err_cb); }
       };
 
-      return http.post(curious_url, args).success(post_cb);
+      // without middleware the request goes out right away, and the transport
+      // request is returned
+      if (middleware.length === 0) {
+        send();
+        return req;
+      }
+      run_request_middleware(middleware, ctx).then(send, middleware_failed);
+      return null;
+    }
+
+    // Save the changed fields of an object to its __url, then merge the
+    // server's response into it. Resolves to the object; objects without
+    // changes are not sent. Once saved, cached responses with objects of its
+    // model are dropped. save_options.method is 'PUT' (default) or 'POST', and
+    // the transport needs a method of that name. Request middleware runs with
+    // ctx.query null and ctx.args the fields to save.
+    function save(obj, save_options) {
+      var method = ((save_options && save_options.method) || 'PUT').toUpperCase();
+      var data = CuriousObjects.changes(obj);
+      var send_f = http[method.toLowerCase()];
+      var ctx;
+
+      if (Object.keys(data).length === 0) { return Promise.resolve(obj); }
+      if (!obj.__url) {
+        return Promise.reject(new CuriousError('Cannot save object without a URL', null, null, null));
+      }
+      if (typeof send_f !== 'function') {
+        return Promise.reject(new CuriousError('Transport cannot send '+method+' requests', null, null, null));
+      }
+
+      ctx = {url: obj.__url, query: null, method: method, args: data, headers: {}, response: null};
+      return run_request_middleware(middleware, ctx).then(function() {
+        return new Promise(function(resolve, reject) {
+          var req;
+          var merge = function(resp) {
+            try {
+              if (resp !== null && typeof resp === 'object' && !Array.isArray(resp)) {
+                resp = schemas.coerce(obj.__model, resp, warn);
+              }
+              obj = CuriousObjects.merge_saved(obj, data, resp);
+              if (cache) { cache.invalidate(obj.__model); }
+              resolve(obj);
+            }
+            catch (e) {
+              reject(new CuriousError('Cannot parse saved object: '+(e.message || e), null, null, resp));
+            }
+          };
+
+          if (ctx.response) {
+            merge(ctx.response);
+            return;
+          }
+
+          req = Object.keys(ctx.headers).length > 0 ?
+                send_f.call(http, ctx.url, ctx.args, {headers: ctx.headers}) :
+                send_f.call(http, ctx.url, ctx.args);
+          req = req.success(merge);
+          if (req && typeof req.error === 'function') {
+            req.error(function(resp, status) {
+              reject(new CuriousError(server_error_message(resp) || 'Cannot save object',
+                                      status, null, resp));
+            });
+          }
+        });
+      });
+    }
+
+    // save every changed object in an array; resolves to the array
+    function save_all(objects, save_options) {
+      var saves = [];
+      for (var i=0; i<objects.length; i++) {
+        if (CuriousObjects.is_dirty(objects[i])) { saves.push(save(objects[i], save_options)); }
+      }
+      return Promise.all(saves).then(function() { return objects; });
+    }
+
+    // Performs queries as one batch, through the client's batcher or else one
+    // with the default options, and resolves to an array of their objects.
+    // options are those of get() and apply to every query. Queries whose
+    // request middleware takes longer than the batcher's wait go out in a
+    // later batch.
+    function batch(queries, get_options) {
+      var b = batcher || new CuriousBatcher(http);
+      var promises = queries.map(function(q) {
+        return new Promise(function(resolve, reject) {
+          var o = q.request_options(get_options);
+          if (get_options && get_options.identity_map) { o.identity_map = get_options.identity_map; }
+          o.batcher = b;
+          get(q.query(), q.relationships, q.objfs, q.params, q.existing_objects,
+              function(objects) { resolve(objects); }, null,
+              function(error) { reject(error); }, o);
+        });
+      });
+      return Promise.all(promises);
+    }
+
+    // Rebuilds a graph written by CuriousObjects.serialize with the client's
+    // identity map, models and schemas, and, if given, the object
+    // constructors, existing objects and identity map of a query
+    function rehydrate(serialized, query) {
+      return CuriousObjects.rehydrate(serialized, {
+        objfs: query ? query.objfs : null,
+        existing_objects: query ? query.existing_objects : null,
+        identity_map: (query && query.identity_map) || identity_map,
+        models: models,
+        schemas: schemas,
+        warn: warn
+      });
+    }
+
+    function use(m) {
+      middleware.push(m);
+      return this;
     }
 
-    return { get: get }
+    return {
+      get: get,
+      save: save,
+      save_all: save_all,
+      batch: batch,
+      rehydrate: rehydrate,
+      use: use,
+      cache: cache,
+      identity_map: identity_map,
+      batcher: batcher,
+      models: models,
+      schemas: schemas,
+      debug: debug,
+      warn: warn
+    }
   };
 
   var ex = undefined;
-  if (typeof window !== 'undefined') { ex = window; }
-  else if (typeof exports !== 'undefined' && exports) { ex = exports; }
+  if (typeof exports !== 'undefined' && exports) { ex = exports; }
+  else if (typeof window !== 'undefined') { ex = window; }
   ex.CuriousObjects = CuriousObjects;
   ex.CuriousQ = CuriousQ;
   ex.CuriousQuery = CuriousQuery;
+  ex.CuriousError = CuriousError;
+  ex.CuriousTransport = CuriousTransport;
+  ex.CuriousFilter = CuriousFilter;
+  ex.CuriousCache = CuriousCache;
+  ex.CuriousIdentityMap = CuriousIdentityMap;
+  ex.CuriousPager = CuriousPager;
+  ex.CuriousChain = CuriousChain;
+  ex.CuriousTree = CuriousTree;
+  ex.CuriousUnion = CuriousUnion;
+  ex.CuriousBatcher = CuriousBatcher;
+  ex.CuriousWatch = CuriousWatch;
+  ex.CuriousModelRegistry = CuriousModelRegistry;
+  ex.CuriousSchemas = CuriousSchemas;
+  ex.CuriousDebug = CuriousDebug;
 
 })();
@@ -0,0 +1,843 @@
+// Type definitions for curious-js
+
+// CuriousPager is async iterable; this lets the declarations check with the
+// default lib too
+/// <reference lib="es2018.asynciterable" />
+
+// Parsed objects and server results
+
+/** Fields every parsed object gets from the parser. */
+export interface CuriousObjectFields {
+  id: any;
+  __url: string | null;
+  __model: string | null;
+}
+
+/** Object built by the parser when no class or factory is given. */
+export interface CuriousObject extends CuriousObjectFields {
+  [field: string]: any;
+  /** Objects reached through a relationship path, e.g. 'reactions.products'. */
+  path(path: RelationshipPath): any[];
+}
+
+/** Dot separated relationship names, or an array of them. */
+export type RelationshipPath = string | string[];
+
+export interface RelatedGroup<O = any> {
+  /** null for the objects that reach nothing */
+  key: any;
+  objects: O[];
+}
+
+/** A node of a CuriousTree, pointing at a parsed object. */
+export declare class CuriousTreeNode<O = any> {
+  object: O;
+  relationship: string;
+  parent: CuriousTreeNode | null;
+  depth: number;
+  children: { [relationship: string]: CuriousTreeNode[] };
+  child_nodes(relationship?: string): CuriousTreeNode[];
+  find(path: RelationshipPath): CuriousTreeNode[];
+  ancestors(): CuriousTreeNode[];
+  depth_first(): CuriousTreeNode[];
+  breadth_first(): CuriousTreeNode[];
+}
+
+/** The hierarchy of a query's results; roots are the first subquery's objects. */
+export declare class CuriousTree {
+  constructor(roots: CuriousTreeNode[], raw?: any[]);
+  roots: CuriousTreeNode[];
+  /** trees sent by the server for each subquery */
+  raw: any[];
+  find(path: RelationshipPath): CuriousTreeNode[];
+  depth_first(): CuriousTreeNode[];
+  breadth_first(): CuriousTreeNode[];
+}
+
+/** Walks relationships of parsed objects; each step drops duplicates. */
+export declare class CuriousChain<O = any> {
+  constructor(objects: O | O[] | null | undefined);
+  objects: O[];
+  follow<P = any>(path: RelationshipPath): CuriousChain<P>;
+  filter(f: (obj: O, index: number) => boolean): CuriousChain<O>;
+  map<P>(f: (obj: O, index: number) => P): CuriousChain<P>;
+  unique(): CuriousChain<O>;
+  group_by(path: RelationshipPath): RelatedGroup<O>[];
+  value(): O[];
+}
+
+/** An object of class T, as returned by the parser. */
+export type Parsed<T> = T & CuriousObjectFields;
+
+/** Field values of one row of a result, keyed by field name. */
+export interface ObjectData {
+  [field: string]: any;
+}
+
+export type ObjectFactory<T = any> = (data: ObjectData, model: string) => T;
+
+export interface CuriousResultData {
+  fields: string[];
+  objects?: any[][];
+  urls?: (string | null)[];
+}
+
+/**
+ * The tree of a recursive subquery: its root nodes, each an [id, children]
+ * pair.
+ */
+export type CuriousServerTree = [any, CuriousServerTree][];
+
+export interface CuriousResultSubquery {
+  model: string;
+  join_index: number;
+  objects: [any, any][];
+  tree?: CuriousServerTree;
+}
+
+/** The result member of a Curious response. */
+export interface CuriousResult {
+  data: CuriousResultData[];
+  results: CuriousResultSubquery[];
+  /** set on responses served from storage by CuriousOffline */
+  offline?: boolean;
+  stored_at?: number;
+  [field: string]: any;
+}
+
+export interface CuriousResponse {
+  result: CuriousResult;
+  [field: string]: any;
+}
+
+export type Params = { [arg: string]: any };
+
+// Relationship name to object type maps. Results are keyed by relationship
+// name; a name used more than once gets _2, _3, ... appended, as in the
+// objects passed to the callbacks.
+
+type RelKey<R, N extends string> =
+  N extends keyof R
+    ? `${N}_2` extends keyof R
+      ? `${N}_3` extends keyof R
+        ? `${N}_4` extends keyof R
+          ? `${N}_5` extends keyof R ? string : `${N}_5`
+          : `${N}_4`
+        : `${N}_3`
+      : `${N}_2`
+    : N;
+
+type AddRel<R, K extends string> = R & { [P in K]: CuriousObject };
+
+type SetRel<R, K extends string, T> = [K] extends [never] ? R : Omit<R, K> & { [P in K]: T };
+
+/** Objects of a query, keyed by relationship name. */
+export type Results<R> = { [K in keyof R]: R[K][] } & OfflineMark;
+
+/**
+ * Set, not enumerable, on objects parsed from a response served from storage
+ * by CuriousOffline.
+ */
+export interface OfflineMark {
+  readonly offline?: boolean;
+  readonly stored_at?: number;
+}
+
+export type AnyResults = { [relationship: string]: any[] };
+
+// Transports
+
+export interface CuriousRequest {
+  success(cb: (resp: any, status?: number) => void): CuriousRequest;
+  error?(cb: (resp: any, status?: number | null) => void): CuriousRequest;
+  abort?(): any;
+}
+
+export interface HttpConfig {
+  headers?: { [name: string]: string };
+}
+
+/** Transport used by CuriousQ: CuriousXhr, CuriousFetch, angular's $http, ... */
+export interface CuriousHttp {
+  post(url: string, data: any, config?: HttpConfig): CuriousRequest;
+}
+
+export interface RetryInfo {
+  attempt: number;
+  delay: number;
+  status: number | null;
+  response: any;
+}
+
+export interface RetryOptions {
+  max_attempts?: number;
+  base_delay?: number;
+  max_delay?: number;
+  jitter?: boolean;
+  retry_statuses?: number[];
+  retry_network_errors?: boolean;
+  retryable?: (status: number | null, response: any) => boolean;
+  respect_retry_after?: boolean;
+  on_retry?: (info: RetryInfo) => void;
+  random?: () => number;
+}
+
+export declare class CuriousRetry {
+  constructor(options?: RetryOptions);
+  max_attempts: number;
+  base_delay: number;
+  max_delay: number;
+  jitter: boolean;
+  retry_statuses: number[];
+  retry_network_errors: boolean;
+  respect_retry_after: boolean;
+  should_retry(attempt: number, status: number | null, response: any): boolean;
+  delay(attempt: number, retry_after?: string | null): number;
+  run(
+    send: (done: (ok: boolean, response: any, status: number | null, retry_after?: string | null) => void) => { abort(): any },
+    finish: (ok: boolean, response: any, status: number | null) => void
+  ): { abort(): void };
+}
+
+export interface XhrRequest extends CuriousRequest {
+  success(cb: (resp: any, status?: number) => void): XhrRequest;
+  error(cb: (resp: any, status?: number | null) => void): XhrRequest;
+  abort(): XhrRequest;
+}
+
+export interface CuriousXhrTransport extends CuriousHttp {
+  post(url: string, data?: any, params?: Params | HttpConfig & { params?: Params }, content_type?: string,
+       ignore_requested_with?: boolean): XhrRequest;
+  put(url: string, data?: any, params?: Params | HttpConfig & { params?: Params }, content_type?: string,
+      ignore_requested_with?: boolean): XhrRequest;
+  get(url: string, data?: any, params?: Params | HttpConfig & { params?: Params }, content_type?: string,
+      ignore_requested_with?: boolean): XhrRequest;
+  with_retry(options: RetryOptions): CuriousXhrTransport;
+}
+
+export declare const CuriousXhr: CuriousXhrTransport;
+
+export interface FetchOptions extends HttpConfig {
+  credentials?: 'omit' | 'same-origin' | 'include';
+  content_type?: string;
+  params?: Params;
+  timeout?: number;
+  signal?: AbortSignal;
+  retry?: RetryOptions;
+  fetch?: (url: string, init?: any) => Promise<any>;
+}
+
+export interface CuriousHttpError extends Error {
+  status: number | null;
+  response: any;
+  timed_out: boolean;
+  cancelled: boolean;
+}
+
+export interface FetchRequest<T = any> extends Promise<T>, CuriousRequest {
+  success(cb: (resp: T, status?: number) => void): FetchRequest<T>;
+  error(cb: (resp: any, status?: number | null) => void): FetchRequest<T>;
+  abort(): FetchRequest<T>;
+}
+
+export interface CuriousFetchTransport extends CuriousHttp {
+  post<T = any>(url: string, data?: any, options?: FetchOptions): FetchRequest<T>;
+  put<T = any>(url: string, data?: any, options?: FetchOptions): FetchRequest<T>;
+  get<T = any>(url: string, options?: FetchOptions): FetchRequest<T>;
+  with_options(options: FetchOptions): CuriousFetchTransport;
+  with_retry(options: RetryOptions): CuriousFetchTransport;
+}
+
+export declare const CuriousFetch: CuriousFetchTransport;
+
+export interface MockOptions {
+  mode?: 'mock' | 'record' | 'replay';
+  http?: CuriousHttp;
+  fixtures?: MockFixtures;
+  delay?: number;
+}
+
+export interface MockResponseOptions {
+  status?: number;
+  params?: Params;
+  times?: number;
+  method?: 'POST' | 'PUT';
+}
+
+export interface MockFixtures {
+  [key: string]: { method?: 'POST' | 'PUT'; url?: string; args: Params; status: number; response: any };
+}
+
+export interface MockRequestRecord {
+  method: 'POST' | 'PUT';
+  url: string;
+  args: Params;
+  headers: { [name: string]: string };
+}
+
+export interface CuriousMockTransport extends CuriousHttp {
+  post(url: string, args: Params, config?: HttpConfig): XhrRequest;
+  put(url: string, args: Params, config?: HttpConfig): XhrRequest;
+  respond(query: string | RegExp | ((q: string, args: Params) => boolean),
+          response: any | ((args: Params) => any), options?: MockResponseOptions): CuriousMockTransport;
+  requests: MockRequestRecord[];
+  fixtures(): MockFixtures;
+  load_fixtures(fixtures: MockFixtures): CuriousMockTransport;
+  save_fixtures_file(path: string): CuriousMockTransport;
+  load_fixtures_file(path: string): CuriousMockTransport;
+  verify(): CuriousMockTransport;
+  reset(): CuriousMockTransport;
+}
+
+export declare function CuriousMockHttp(options?: MockOptions): CuriousMockTransport;
+
+// curious-offline.js
+
+export interface OfflineEntry {
+  url: string;
+  args: Params;
+  response: any;
+  status: number;
+  time: number;
+}
+
+/** Persistent key-value storage for CuriousOffline; methods may return values or Promises. */
+export interface OfflineStorage {
+  get(key: string): Promise<OfflineEntry | null> | OfflineEntry | null;
+  set(key: string, entry: OfflineEntry): Promise<any> | void;
+  remove(key: string): Promise<any> | void;
+  clear(): Promise<any> | void;
+  keys(): Promise<string[]> | string[];
+}
+
+export interface OfflineOptions {
+  storage?: OfflineStorage;
+  max_age?: number | null;
+  is_offline?: () => boolean;
+  retry_interval?: number;
+  on_revalidated?: (info: { url: string; args: Params; response: any }) => void;
+  partition?: string | null | ((url: string, args: Params, config?: HttpConfig) => string | null);
+  max_entries?: number | null;
+}
+
+export interface CuriousOfflineTransport extends CuriousHttp {
+  /** passed to the wrapped transport, where it has them */
+  put?(url: string, data: any, config?: HttpConfig): CuriousRequest;
+  get?(url: string, data: any, config?: HttpConfig): CuriousRequest;
+  revalidate(): Promise<void>;
+  pending(): { url: string; args: Params }[];
+  stop(): void;
+  clear(): Promise<any>;
+  storage: OfflineStorage;
+}
+
+export declare const CuriousOffline: {
+  (http: CuriousHttp, options?: OfflineOptions): CuriousOfflineTransport;
+  memory_storage(): OfflineStorage;
+  /** Node only */
+  file_storage(path: string): OfflineStorage;
+  /** browser only */
+  indexeddb_storage(name: string, store?: string): OfflineStorage;
+};
+
+// Query building
+
+export interface QueryTerm {
+  term: string;
+  conditional: boolean;
+  left: boolean;
+  /** number of relationships the term adds to its query */
+  results: number;
+  to_s(): string;
+}
+
+export declare class CuriousFilter {
+  constructor(join: string);
+  join: string;
+  filters: [string, any][];
+  ordering: string[];
+  max_count: number | null;
+  where(field: string, value: any): this;
+  where(filters: { [field: string]: any }): this;
+  order_by(...fields: string[]): this;
+  limit(n: number): this;
+  to_s(): string;
+  toString(): string;
+}
+
+export type Term = string | CuriousFilter;
+
+export interface RequestOptions {
+  signal?: AbortSignal | { aborted: boolean; addEventListener(type: 'abort', f: () => void): void };
+  timeout?: number;
+}
+
+export interface GetOptions extends RequestOptions {
+  identity_map?: CuriousIdentityMap | null;
+  batcher?: CuriousBatcher;
+}
+
+export interface PagerOptions extends RequestOptions {
+  page_size: number;
+  limit_param?: string;
+  offset_param?: string;
+  cursor_param?: string;
+  cursor_field?: string;
+}
+
+export interface Page<O> {
+  objects: O;
+  all: O;
+  trees: any[] | null;
+  tree: CuriousTree | null;
+  index: number;
+}
+
+export declare class CuriousPager<O = AnyResults> {
+  constructor(query: CuriousQuery<any, any>, clt: CuriousClient, options: PagerOptions);
+  page_size: number;
+  index: number;
+  done: boolean;
+  all: O;
+  next(): Promise<IteratorResult<Page<O>, undefined>>;
+  fetch_all(): Promise<O>;
+  [Symbol.asyncIterator](): AsyncIterator<Page<O>, undefined>;
+}
+
+/**
+ * A query. R maps each relationship name to the type of its objects, and Last
+ * is the name of the latest relationship, the one wrap_with and
+ * wrap_dynamically apply to.
+ */
+export declare class CuriousQuery<R extends {} = {}, Last extends string = never> {
+  constructor();
+  static parse(s: string, relationships?: string[]): CuriousQuery<{ [relationship: string]: CuriousObject }, string>;
+  static define_fragment<Q extends CuriousQuery<any, any>>(name: string, query: Q): Q;
+
+  terms: QueryTerm[];
+  relationships: string[];
+  objfs: (ObjectFactory | undefined | null)[];
+  params: Params | null;
+  existing_objects: (any[] | null)[] | null;
+  identity_map: CuriousIdentityMap | null;
+
+  query(): string;
+  extend<R2 extends {}>(query: CuriousQuery<R2, any>): CuriousQuery<R & R2, Last>;
+  splice<R2 extends {}, L2 extends string>(fragment: CuriousQuery<R2, L2>): CuriousQuery<R & R2, L2>;
+  splice(fragment: string): CuriousQuery<R & { [relationship: string]: any }, string>;
+  append(term: QueryTerm, relationship?: string, obj_f?: ObjectFactory): this;
+
+  start<N extends string>(s: Term, relationship: N): CuriousQuery<AddRel<R, RelKey<R, N>>, RelKey<R, N>>;
+  start(s: Term): this;
+  follow<N extends string>(s: Term, relationship: N): CuriousQuery<AddRel<R, RelKey<R, N>>, RelKey<R, N>>;
+  follow(s: Term): this;
+  having(s: Term | CuriousQuery<any, any>): this;
+  not_having(s: Term | CuriousQuery<any, any>): this;
+  with<N extends string>(s: Term | CuriousQuery<any, any>, relationship: N): CuriousQuery<AddRel<R, RelKey<R, N>>, RelKey<R, N>>;
+  with<R2 extends {}, L2 extends string>(s: CuriousQuery<R2, L2>): CuriousQuery<R & R2, L2>;
+  with(s: Term): this;
+  or<R2 extends {}>(query: CuriousQuery<R2, any>): CuriousUnion<R & R2>;
+
+  wrap_with<T>(klass: new () => T): CuriousQuery<SetRel<R, Last, Parsed<T>>, Last>;
+  wrap_dynamically<T>(f: ObjectFactory<T>): CuriousQuery<SetRel<R, Last, Parsed<T>>, Last>;
+
+  set_params(p: Params | null): this;
+  set_existing_objects(objs: (any[] | null)[] | null): this;
+  set_identity_map(identity_map: CuriousIdentityMap | null): this;
+
+  perform(clt: CuriousClient,
+          objects_cb: (objects: Results<R>, result: CuriousResult) => void,
+          trees_cb?: ((trees: any[], tree: CuriousTree) => void) | null,
+          error_cb?: ((error: CuriousError) => void) | null,
+          options?: RequestOptions): void;
+  promise(clt: CuriousClient, options?: RequestOptions): Promise<Results<R>>;
+  tree(clt: CuriousClient, options?: RequestOptions): Promise<CuriousTree>;
+  paginate(clt: CuriousClient, options: PagerOptions): CuriousPager<Results<R>>;
+  watch(clt: CuriousClient, options?: WatchOptions): CuriousWatch<Results<R>>;
+  request_options(options?: RequestOptions): GetOptions;
+  explain(): ExplainedTerm[];
+}
+
+export interface ExplainedTerm {
+  term: string;
+  kind: 'follow' | 'having' | 'not_having' | 'with';
+  relationships: string[];
+}
+
+/** Push notifications for CuriousWatch. */
+export interface PushSource {
+  /** returns a function that unsubscribes */
+  subscribe(listener: (message: any) => void): () => void;
+}
+
+export interface LocalPushSource extends PushSource {
+  notify(message: any): void;
+}
+
+export interface WatchOptions {
+  interval?: number;
+  source?: PushSource;
+  filter?: (message: any) => boolean;
+  timeout?: number;
+}
+
+export interface WatchChanges {
+  added: any[];
+  removed: any[];
+  changed: any[];
+}
+
+/** Re-runs a query on an interval or on notifications, updating its objects in place. */
+export declare class CuriousWatch<O = AnyResults> {
+  constructor(query: CuriousQuery<any, any>, clt: CuriousClient, options?: WatchOptions);
+  static websocket(socket: string | WebSocket): PushSource;
+  static event_source(source: string | EventSource, event?: string): PushSource;
+  static local_source(): LocalPushSource;
+
+  objects: O;
+  stopped: boolean;
+  on(event: 'added' | 'removed', f: (object: any) => void): this;
+  on(event: 'changed', f: (object: any, previous: ObjectData) => void): this;
+  on(event: 'update', f: (objects: O, changes: WatchChanges) => void): this;
+  on(event: 'error', f: (error: CuriousError) => void): this;
+  off(event: string, f: (...args: any[]) => void): this;
+  start(): this;
+  stop(): this;
+  refresh(): Promise<O>;
+}
+
+/** Alternative queries run separately, with their objects combined. */
+export declare class CuriousUnion<R extends {} = {}> {
+  constructor(branches: CuriousQuery<any, any>[]);
+  branches: CuriousQuery<any, any>[];
+  or<R2 extends {}>(query: CuriousQuery<R2, any>): CuriousUnion<R & R2>;
+  perform(clt: CuriousClient,
+          objects_cb: (objects: Partial<Results<R>>, results: CuriousResult[]) => void,
+          trees_cb?: ((trees: any[][], tree: CuriousTree) => void) | null,
+          error_cb?: ((error: CuriousError) => void) | null,
+          options?: GetOptions): void;
+  promise(clt: CuriousClient, options?: GetOptions): Promise<Partial<Results<R>>>;
+}
+
+// Parsing and clients
+
+export declare class CuriousError extends Error {
+  constructor(message: string, status?: number | null, query?: string, response?: any);
+  status: number | null;
+  query: string;
+  response: any;
+  cancelled: boolean;
+  timed_out: boolean;
+  problems?: string[];
+}
+
+export declare class CuriousIdentityMap {
+  constructor();
+  get(model: string, id: any): any | null;
+  add<T extends CuriousObjectFields>(obj: T): T;
+  all(model: string): any[];
+  evict(model: string, id?: any): void;
+  clear(): void;
+  size(): number;
+}
+
+export interface CacheOptions {
+  ttl?: number | null;
+  max_size?: number;
+}
+
+export declare class CuriousCache {
+  constructor(options?: CacheOptions);
+  ttl: number | null;
+  max_size: number;
+  fetch(args: Params, send: () => CuriousRequest,
+        success_cb: (resp: any, status?: number) => void,
+        error_cb: (resp: any, status?: number | null) => void,
+        scope?: { url: string; headers: { [name: string]: string } } | null): CuriousRequest | null;
+  invalidate(model: string): void;
+  clear(): void;
+  size(): number;
+  /** the args, with their names sorted, as JSON */
+  static key(args: Params): string;
+  /** a short hash of request headers; null if there are none */
+  static headers_key(headers?: { [name: string]: string } | null): string | null;
+}
+
+/** How a subquery was joined, as parsed; null for the first subquery. */
+export interface ParsedJoin {
+  join_index: number;
+  objects: [any, any][];
+}
+
+/** A join tuple left out because its object or source object is not in the response. */
+export interface DroppedJoin {
+  subquery: number;
+  relationship: string;
+  object_id: any;
+  source_id: any;
+  missing: 'object' | 'source' | 'both';
+}
+
+export interface ParsedResults {
+  objects: { [id: string]: any }[];
+  trees: any[];
+  dropped: DroppedJoin[];
+  joins: (ParsedJoin | null)[];
+}
+
+/** A parsed result graph in the format of a Curious result. */
+export interface SerializedResults {
+  relationships: string[];
+  result: CuriousResult;
+}
+
+export interface RehydrateOptions {
+  objfs?: (ObjectFactory | undefined | null)[] | null;
+  existing_objects?: (any[] | null)[] | null;
+  identity_map?: CuriousIdentityMap | null;
+  models?: CuriousModelRegistry | null;
+  schemas?: CuriousSchemas | null;
+  warn?: ((message: string) => void) | null;
+}
+
+export interface Rehydrated<O = AnyResults> {
+  objects: O;
+  trees: any[];
+  tree: CuriousTree;
+}
+
+export interface CuriousObjectsModule {
+  parse_with_trees(relationships: string[], objfs: (ObjectFactory | undefined | null)[] | null,
+                   results: CuriousResult, existing_object_dicts?: ({ [id: string]: any } | null)[] | null,
+                   identity_map?: CuriousIdentityMap | null,
+                   models?: CuriousModelRegistry | null,
+                   schemas?: CuriousSchemas | null,
+                   warn?: ((message: string) => void) | null): ParsedResults;
+  tree(relationships: string[], results: CuriousResult, parsed: ParsedResults): CuriousTree;
+  validate(relationships: string[] | null, results: CuriousResult, strict?: boolean,
+           warn?: (message: string) => void): CuriousResult;
+  changes(obj: object): ObjectData;
+  is_dirty(obj: object): boolean;
+  original(obj: object): ObjectData;
+  revert<T>(obj: T, fields?: string[]): T;
+  mark_clean<T>(obj: T, fields?: string[]): T;
+  merge_saved<T>(obj: T, data: ObjectData, resp: any): T;
+  merge_loaded<T>(obj: T, data: ObjectData): T;
+  serialize(relationships: string[], objects: AnyResults, trees?: any[] | null,
+            joins?: (ParsedJoin | null)[] | null): SerializedResults;
+  rehydrate(serialized: SerializedResults, options?: RehydrateOptions): Rehydrated;
+  path(objects: any, path: RelationshipPath): any[];
+  group_by<O>(objects: O | O[], path: RelationshipPath): RelatedGroup<O>[];
+  chain<O>(objects: O | O[]): CuriousChain<O>;
+  d2a<T = any>(d: { [id: string]: T }): T[];
+  a2d<T extends { id: any }>(a: T[]): { [id: string]: T };
+  id_list(objects: { id: any }[]): any[];
+  id_str(objects: { id: any }[]): string | null;
+}
+
+export declare const CuriousObjects: CuriousObjectsModule;
+
+export interface MiddlewareContext {
+  url: string;
+  /** null for saves */
+  query: string | null;
+  method: string;
+  args: Params;
+  headers: { [name: string]: string };
+  response: CuriousResponse | null;
+  status?: number;
+}
+
+export interface CuriousMiddleware {
+  request?(ctx: MiddlewareContext): void | Promise<void>;
+  response?(result: CuriousResult, ctx: MiddlewareContext): CuriousResult | void | Promise<CuriousResult | void>;
+}
+
+export interface BatchRequest {
+  url: string;
+  args: Params;
+  headers: { [name: string]: string };
+}
+
+export interface BatchResponse {
+  ok: boolean;
+  response: any;
+  status: number | null;
+}
+
+export interface BatchOptions {
+  /** batch endpoint, taking {queries: [args, ...]} and answering {results: [response, ...]} */
+  url?: string;
+  wait?: number;
+  max_size?: number;
+  aggregate?: (requests: BatchRequest[], done: (responses: BatchResponse[]) => void) => void;
+}
+
+/** A transport queueing requests and sending them in batches. */
+export declare class CuriousBatcher implements CuriousHttp {
+  constructor(http: CuriousHttp, options?: BatchOptions);
+  http: CuriousHttp;
+  url: string | null;
+  wait: number;
+  max_size: number | null;
+  post(url: string, data: any, config?: HttpConfig): CuriousRequest;
+  flush(): void;
+}
+
+/** Classes and factories for objects, by server model name. */
+export declare class CuriousModelRegistry {
+  constructor(classes?: { [model: string]: new () => any });
+  factories: { [model: string]: ObjectFactory };
+  register(model: string, klass: new () => any): this;
+  register_factory(model: string, f: ObjectFactory): this;
+  unregister(model: string): this;
+  factory(model: string): ObjectFactory | null;
+}
+
+export type FieldType = 'date' | 'datetime' | 'number' | 'decimal' | 'integer' | 'boolean' | 'string'
+  | 'enum' | 'fk';
+
+export interface FieldSpec {
+  type: FieldType;
+  /** allowed values of an enum */
+  values?: any[];
+  /** model of a foreign key */
+  model?: string;
+  /** field to set the resolved object of a foreign key as */
+  as?: string;
+}
+
+export interface ModelSchema {
+  [field: string]: FieldType | FieldSpec;
+}
+
+export type SchemaLoader = (models: string[]) => Promise<{ [model: string]: ModelSchema }>;
+
+export interface SchemaOptions {
+  strict?: boolean;
+  resolve_fks?: boolean;
+  loader?: SchemaLoader;
+}
+
+/** Field schemas of models, converting the field values of parsed objects. */
+export declare class CuriousSchemas {
+  constructor(options?: SchemaOptions);
+  static endpoint(http: CuriousHttp, url: string): SchemaLoader;
+  static local(schemas: { [model: string]: ModelSchema }): SchemaLoader & { requests: string[][] };
+
+  schemas: { [model: string]: { [field: string]: FieldSpec } };
+  strict: boolean;
+  resolve_fks: boolean;
+  loader: SchemaLoader | null;
+  register(model: string, fields: ModelSchema): this;
+  get(model: string): { [field: string]: FieldSpec } | null;
+  missing(result: CuriousResult): string[];
+  ready(result: CuriousResult): Promise<this> | null;
+  load(models: string[]): Promise<this>;
+  coerce(model: string, data: ObjectData, warn?: ((message: string) => void) | null): ObjectData;
+  resolve(objects: any[], lookup: (model: string, id: any) => any): void;
+}
+
+/** What a request of a CuriousQ did, recorded in debug mode. */
+export interface DebugRecord {
+  query: string;
+  url: string;
+  args: Params;
+  network_ms: number | null;
+  parse_ms: number | null;
+  total_ms: number;
+  status: number | null;
+  /** length of the response as JSON, in characters */
+  payload_size: number | null;
+  counts: { [relationship: string]: number } | null;
+  dropped: DroppedJoin[];
+  error: string | null;
+}
+
+export interface DebugOptions {
+  logger?: (record: DebugRecord) => void;
+  max_records?: number;
+}
+
+/** Records of what each request of a CuriousQ did. */
+export declare class CuriousDebug {
+  constructor(options?: DebugOptions);
+  static console_logger(record: DebugRecord): void;
+
+  logger: ((record: DebugRecord) => void) | null;
+  max_records: number;
+  records: DebugRecord[];
+  last(): DebugRecord | null;
+  clear(): void;
+}
+
+export interface CuriousQOptions {
+  cache?: boolean | CacheOptions;
+  identity_map?: boolean | CuriousIdentityMap;
+  middleware?: CuriousMiddleware[];
+  validation?: 'strict' | 'lenient' | false;
+  warn?: (message: string) => void;
+  batch?: boolean | BatchOptions;
+  models?: CuriousModelRegistry | { [model: string]: new () => any };
+  schemas?: CuriousSchemas | SchemaOptions;
+  debug?: boolean | DebugOptions | CuriousDebug;
+}
+
+export interface SaveOptions {
+  method?: 'PUT' | 'POST';
+}
+
+export interface CuriousClient {
+  get(q: string, relationships: string[], objfs: (ObjectFactory | undefined | null)[] | null,
+      params: Params | null, existing_objects: (any[] | null)[] | null,
+      objects_cb: (objects: AnyResults, result: CuriousResult) => void,
+      trees_cb?: ((trees: any[], tree: CuriousTree) => void) | null,
+      error_cb?: ((error: CuriousError) => void) | null,
+      options?: GetOptions): CuriousRequest | null;
+  save<T extends CuriousObjectFields>(obj: T, options?: SaveOptions): Promise<T>;
+  save_all<T extends CuriousObjectFields>(objects: T[], options?: SaveOptions): Promise<T[]>;
+  batch(queries: CuriousQuery<any, any>[], options?: GetOptions): Promise<AnyResults[]>;
+  rehydrate<R extends {}>(serialized: SerializedResults, query: CuriousQuery<R, any>): Rehydrated<Results<R>>;
+  rehydrate(serialized: SerializedResults): Rehydrated;
+  use(m: CuriousMiddleware): CuriousClient;
+  cache: CuriousCache | null;
+  identity_map: CuriousIdentityMap | null;
+  batcher: CuriousBatcher | null;
+  models: CuriousModelRegistry;
+  schemas: CuriousSchemas;
+  debug: CuriousDebug | null;
+  warn: (message: string) => void;
+}
+
+export declare function CuriousQ(curious_url: string, http: CuriousHttp, app_default_params?: Params | null,
+                                 quiet?: boolean, options?: CuriousQOptions): CuriousClient;
+
+// The API of curious.js
+
+export interface LegacyCuriousClient {
+  get(q: string, relationships: string[], cb: (objects: any[][]) => void, params?: Params | null,
+      tree_cb?: (trees: any[]) => void): CuriousRequest;
+  get_with_objs(q: string, relationships: string[], existing_object_arrays: (any[] | null)[],
+                cb: (objects: any[][]) => void, params?: Params | null,
+                tree_cb?: (trees: any[]) => void): CuriousRequest;
+  get_with_start(q: string, relationships: string[], starting_objects: any[],
+                 cb: (objects: any[][]) => void, params?: Params | null,
+                 tree_cb?: (trees: any[]) => void): CuriousRequest;
+}
+
+export interface LegacyCuriousObjectsModule {
+  parse(relationships: string[], classes: ((new () => any) | null)[] | null, results: CuriousResult,
+        existing_object_dicts?: ({ [id: string]: any } | null)[] | null): { [id: string]: any }[];
+  parse_with_trees(relationships: string[], classes: ((new () => any) | null)[] | null, results: CuriousResult,
+                   existing_object_dicts?: ({ [id: string]: any } | null)[] | null): ParsedResults;
+  d2a<T = any>(d: { [id: string]: T }): T[];
+  a2d<T extends { id: any }>(a: T[]): { [id: string]: T };
+  id_list(objects: { id: any }[]): any[];
+  id_str(objects: { id: any }[]): string | null;
+}
+
+export declare const legacy: {
+  CuriousQ(curious_url: string, http: CuriousHttp, app_default_params?: Params | null,
+           quiet?: boolean): LegacyCuriousClient;
+  CuriousObjects: LegacyCuriousObjectsModule;
+};
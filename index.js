@@ -0,0 +1,34 @@
+// CommonJS entry point. request-http.js, which needs the request package, is
+// not included; require('curious-js/request-http') for it.
+
+var curious = require('./curious2.js');
+var retry = require('./curious-retry.js');
+var xhr = require('./curious-xhr.js');
+var fetch_http = require('./curious-fetch.js');
+var mock = require('./curious-mock.js');
+var offline = require('./curious-offline.js');
+
+exports.CuriousQuery = curious.CuriousQuery;
+exports.CuriousQ = curious.CuriousQ;
+exports.CuriousObjects = curious.CuriousObjects;
+exports.CuriousError = curious.CuriousError;
+exports.CuriousFilter = curious.CuriousFilter;
+exports.CuriousCache = curious.CuriousCache;
+exports.CuriousIdentityMap = curious.CuriousIdentityMap;
+exports.CuriousPager = curious.CuriousPager;
+exports.CuriousChain = curious.CuriousChain;
+exports.CuriousTree = curious.CuriousTree;
+exports.CuriousUnion = curious.CuriousUnion;
+exports.CuriousBatcher = curious.CuriousBatcher;
+exports.CuriousWatch = curious.CuriousWatch;
+exports.CuriousModelRegistry = curious.CuriousModelRegistry;
+exports.CuriousSchemas = curious.CuriousSchemas;
+exports.CuriousDebug = curious.CuriousDebug;
+exports.CuriousRetry = retry.CuriousRetry;
+exports.CuriousXhr = xhr.CuriousXhr;
+exports.CuriousFetch = fetch_http.CuriousFetch;
+exports.CuriousMockHttp = mock.CuriousMockHttp;
+exports.CuriousOffline = offline.CuriousOffline;
+
+// the API of curious.js, kept for code written against it
+exports.legacy = require('./curious.js');
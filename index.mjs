@@ -0,0 +1,26 @@
+// ES module entry point, with the same exports as index.js
+
+import curious from './index.js';
+
+export var CuriousQuery = curious.CuriousQuery;
+export var CuriousQ = curious.CuriousQ;
+export var CuriousObjects = curious.CuriousObjects;
+export var CuriousError = curious.CuriousError;
+export var CuriousFilter = curious.CuriousFilter;
+export var CuriousCache = curious.CuriousCache;
+export var CuriousIdentityMap = curious.CuriousIdentityMap;
+export var CuriousPager = curious.CuriousPager;
+export var CuriousChain = curious.CuriousChain;
+export var CuriousTree = curious.CuriousTree;
+export var CuriousUnion = curious.CuriousUnion;
+export var CuriousBatcher = curious.CuriousBatcher;
+export var CuriousWatch = curious.CuriousWatch;
+export var CuriousModelRegistry = curious.CuriousModelRegistry;
+export var CuriousSchemas = curious.CuriousSchemas;
+export var CuriousDebug = curious.CuriousDebug;
+export var CuriousRetry = curious.CuriousRetry;
+export var CuriousXhr = curious.CuriousXhr;
+export var CuriousFetch = curious.CuriousFetch;
+export var CuriousMockHttp = curious.CuriousMockHttp;
+export var CuriousOffline = curious.CuriousOffline;
+export var legacy = curious.legacy;
@@ -0,0 +1,11 @@
+// Type definitions for curious-js/request-http
+
+import { CuriousHttp, HttpConfig, RetryOptions, XhrRequest } from './index';
+
+export interface RequestHttpTransport extends CuriousHttp {
+  post(url: string, data: any, config?: HttpConfig): XhrRequest;
+  put(url: string, data: any, config?: HttpConfig): XhrRequest;
+  with_retry(options: RetryOptions): RequestHttpTransport;
+}
+
+export declare const http: RequestHttpTransport;
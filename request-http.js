@@ -1,33 +1,89 @@
 // Wrapper around request.js package to make it look like jQuery and angular http
 
-exports.http = (function() {
+function Http(retry_options) {
   var request = require('request');
+  var helpers = require('./curious2.js').CuriousTransport;
+  var retry = helpers.retry(retry_options);
 
-  function Request(url, data) {
+  // method is the name of a request.js method, 'post' or 'put'
+  function Request(method, url, data, config) {
     var success_cb = undefined;
+    var error_cb = undefined;
+    var aborted = false;
+    var req;
 
-    request.post({url: url, body: JSON.stringify(data)}, function(error, response, body) {
-      if (success_cb) {
-        var resp = JSON.parse(body);
-        success_cb(resp);
+    function send(done) {
+      var options = {url: url, body: JSON.stringify(data)};
+      if (config && config.headers) { options.headers = config.headers; }
+
+      return request[method](options, function(error, response, body) {
+        if (error) {
+          // no response at all, e.g. connection refused
+          done(false, error.message || error, null, null);
+          return;
+        }
+
+        done(response.statusCode >= 200 && response.statusCode < 300, helpers.parse_response(body),
+             response.statusCode, response.headers['retry-after']);
+      });
+    }
+
+    function finish(ok, resp, status) {
+      if (aborted) { return; }
+      if (ok) {
+        if (success_cb) { success_cb(resp, status); }
+      }
+      else {
+        if (error_cb) { error_cb(resp, status); }
       }
-    });
+    }
+
+    req = retry ? retry.run(send, finish) : send(finish);
 
     function success(cb) {
       success_cb = cb;
       return this;
     }
 
+    function error(cb) {
+      error_cb = cb;
+      return this;
+    }
+
+    // abort the request; neither callback will be called
+    function abort() {
+      aborted = true;
+      req.abort();
+      return this;
+    }
+
     return {
-      success: success
+      success: success,
+      error: error,
+      abort: abort
     }
   }
 
-  function post(url, data) {
-    return Request(url, data);
+  // config is an angular style config; only headers are used
+  function post(url, data, config) {
+    return Request('post', url, data, config);
+  }
+
+  function put(url, data, config) {
+    return Request('put', url, data, config);
+  }
+
+  // a copy of this transport that retries failed requests, with the policy
+  // described in curious-retry.js
+  function with_retry(options) {
+    return Http(options);
   }
 
   return {
-    post: post
+    post: post,
+    put: put,
+    with_retry: with_retry
   }
-})();
+}
+
+exports.http = Http();
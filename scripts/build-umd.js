@@ -0,0 +1,83 @@
+// Builds dist/curious.umd.js, a single file for script tags and AMD loaders
+// with the same exports as index.js. It defines the global Curious when loaded
+// with a script tag.
+//
+//   node scripts/build-umd.js
+
+var fs = require('fs');
+var path = require('path');
+
+var root = path.join(__dirname, '..');
+
+// in dependency order
+var MODULES = [
+  './curious2.js',
+  './curious-retry.js',
+  './curious-xhr.js',
+  './curious-fetch.js',
+  './curious-mock.js',
+  './curious-offline.js',
+  './curious.js'
+];
+
+var EXPORTS = {
+  './curious2.js': ['CuriousQuery', 'CuriousQ', 'CuriousObjects', 'CuriousError', 'CuriousFilter',
+                    'CuriousCache', 'CuriousIdentityMap', 'CuriousPager', 'CuriousChain',
+                    'CuriousTree', 'CuriousUnion', 'CuriousBatcher',
+                    'CuriousWatch', 'CuriousModelRegistry', 'CuriousSchemas', 'CuriousDebug'],
+  './curious-retry.js': ['CuriousRetry'],
+  './curious-xhr.js': ['CuriousXhr'],
+  './curious-fetch.js': ['CuriousFetch'],
+  './curious-mock.js': ['CuriousMockHttp'],
+  './curious-offline.js': ['CuriousOffline']
+};
+
+function indent(s) {
+  return s.replace(/^(?=.)/gm, '    ');
+}
+
+function build() {
+  var out = [];
+  var pkg = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8'));
+
+  out.push('// curious-js '+pkg.version+', built by scripts/build-umd.js from the files in');
+  out.push('// the package. Do not edit.');
+  out.push('(function(root, factory) {');
+  out.push("  if (typeof define === 'function' && define.amd) { define([], factory); }");
+  out.push("  else if (typeof module === 'object' && module.exports) { module.exports = factory(); }");
+  out.push('  else { root.Curious = factory(); }');
+  out.push("}(typeof self !== 'undefined' ? self : this, function() {");
+  out.push('  var modules = {};');
+  out.push('  function require(name) {');
+  out.push('    if (modules[name] === undefined) { throw new Error("Module "+name+" is not bundled"); }');
+  out.push('    return modules[name];');
+  out.push('  }');
+  out.push('  var curious = {};');
+  out.push('');
+
+  MODULES.forEach(function(name) {
+    var src = fs.readFileSync(path.join(root, name), 'utf8');
+    out.push('  // '+name);
+    out.push('  modules['+JSON.stringify(name)+'] = (function() {');
+    out.push('    var exports = {};');
+    out.push(indent(src).replace(/\s+$/, ''));
+    out.push('    return exports;');
+    out.push('  })();');
+    out.push('');
+  });
+
+  Object.keys(EXPORTS).forEach(function(name) {
+    EXPORTS[name].forEach(function(k) {
+      out.push('  curious.'+k+' = modules['+JSON.stringify(name)+'].'+k+';');
+    });
+  });
+  out.push("  curious.legacy = modules['./curious.js'];");
+  out.push('  return curious;');
+  out.push('}));');
+  out.push('');
+
+  if (!fs.existsSync(path.join(root, 'dist'))) { fs.mkdirSync(path.join(root, 'dist')); }
+  fs.writeFileSync(path.join(root, 'dist', 'curious.umd.js'), out.join('\n'));
+}
+
+build();
@@ -0,0 +1,91 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var curious = require('../index.js');
+
+var CuriousBatcher = curious.CuriousBatcher;
+
+// answers every request of a batch before returning
+function sync_aggregate(requests, done) {
+  done(requests.map(function(r) { return {ok: true, response: {echo: r.args.x}, status: 200}; }));
+}
+
+test('a batch filled to max_size is answered after callbacks are attached', function() {
+  var batcher = new CuriousBatcher(null, {max_size: 2, aggregate: sync_aggregate});
+  var got = [];
+
+  return new Promise(function(resolve) {
+    batcher.post('/curious/q', {x: 1}).success(function(resp) { got.push(resp.echo); });
+    batcher.post('/curious/q', {x: 2}).success(function(resp) {
+      got.push(resp.echo);
+      resolve();
+    });
+  }).then(function() {
+    assert.deepStrictEqual(got, [1, 2]);
+  });
+});
+
+var CuriousQ = curious.CuriousQ;
+var CuriousQuery = curious.CuriousQuery;
+var CuriousMockHttp = curious.CuriousMockHttp;
+
+function single(model, id) {
+  return {
+    result: {
+      data: [{fields: ['id'], objects: [[id]], urls: [null]}],
+      results: [{model: model, join_index: -1, objects: []}]
+    }
+  };
+}
+
+// a batch endpoint answering queries of Experiment and Reaction, and failing
+// others with a 400
+function batch_endpoint() {
+  return CuriousMockHttp().respond(function(q, args) { return !!args.queries; }, function(args) {
+    return {
+      results: args.queries.map(function(a) {
+        if (a.q.indexOf('Experiment') === 0) { return single('Experiment', 1); }
+        if (a.q.indexOf('Reaction') === 0) { return single('Reaction', 10); }
+        return {error: 'Bad query '+a.q, status: 400};
+      })
+    };
+  });
+}
+
+test('batches go to the url endpoint as {queries} and come back as {results}', function() {
+  var http = batch_endpoint();
+  var batcher = new CuriousBatcher(http, {url: '/curious/batch'});
+  var got = [];
+
+  return new Promise(function(resolve) {
+    batcher.post('/curious/q', {q: 'Experiment', x: 1}).success(function(resp, status) {
+      got.push(['success', resp.result.results[0].model, status]);
+    });
+    batcher.post('/curious/q', {q: 'Nonsense'}).error(function(resp, status) {
+      got.push(['error', resp.error, status]);
+      resolve();
+    });
+  }).then(function() {
+    assert.strictEqual(http.requests.length, 1);
+    assert.strictEqual(http.requests[0].url, '/curious/batch');
+    assert.deepStrictEqual(http.requests[0].args, {queries: [{q: 'Experiment', x: 1}, {q: 'Nonsense'}]});
+    assert.deepStrictEqual(got, [['success', 'Experiment', 200], ['error', 'Bad query Nonsense', 400]]);
+  });
+});
+
+test('CuriousQ.batch parses each response with its own query', function() {
+  function Experiment() {}
+  function Reaction() {}
+  var http = batch_endpoint();
+  var clt = CuriousQ('/curious/q', http, null, true, {batch: {url: '/curious/batch'}});
+  var experiments = new CuriousQuery().start('Experiment(id=1)', 'experiments').wrap_with(Experiment);
+  var reactions = new CuriousQuery().start('Reaction(id=10)', 'reactions').wrap_with(Reaction);
+
+  return clt.batch([experiments, reactions]).then(function(results) {
+    assert.strictEqual(http.requests.length, 1);
+    assert.deepStrictEqual(Object.keys(results[0]), ['experiments']);
+    assert.ok(results[0].experiments[0] instanceof Experiment);
+    assert.deepStrictEqual(Object.keys(results[1]), ['reactions']);
+    assert.ok(results[1].reactions[0] instanceof Reaction);
+    assert.strictEqual(results[1].reactions[0].id, 10);
+  });
+});
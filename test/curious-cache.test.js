@@ -0,0 +1,182 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var curious = require('../index.js');
+
+var CuriousQ = curious.CuriousQ;
+var CuriousQuery = curious.CuriousQuery;
+var CuriousMockHttp = curious.CuriousMockHttp;
+
+var experiments = {
+  result: {
+    data: [{fields: ['id'], objects: [[1]], urls: ['/experiments/1']}],
+    results: [{model: 'Experiment', join_index: -1, objects: []}]
+  }
+};
+
+// A transport answering every query with response after delay milliseconds,
+// keeping the args and headers of the requests sent
+function server(response, delay) {
+  var http = {requests: []};
+  http.post = function(url, args, config) {
+    var cbs = {};
+    http.requests.push({args: args, headers: (config && config.headers) || {}});
+    setTimeout(function() { cbs.success(JSON.parse(JSON.stringify(response)), 200); }, delay);
+    return {
+      success: function(cb) { cbs.success = cb; return this; },
+      error: function(cb) { cbs.error = cb; return this; }
+    };
+  };
+  return http;
+}
+
+test('responses are cached per auth header set by middleware', function() {
+  var http = server(experiments, 0);
+  var user = 'alice';
+  var auth = {request: function(ctx) { ctx.headers.Authorization = 'Bearer '+user; }};
+  var clt = CuriousQ('/curious/q', http, null, true, {cache: true, middleware: [auth]});
+  var q = new CuriousQuery().start('Experiment', 'experiments');
+
+  return q.promise(clt).then(function() {
+    return q.promise(clt);
+  }).then(function() {
+    assert.strictEqual(http.requests.length, 1);
+    user = 'bob';
+    return q.promise(clt);
+  }).then(function() {
+    assert.strictEqual(http.requests.length, 2);
+    assert.strictEqual(http.requests[1].headers.Authorization, 'Bearer bob');
+  });
+});
+
+test('saving an object drops cached responses with its model', function() {
+  var named = function(name) {
+    return {
+      result: {
+        data: [{fields: ['id', 'name'], objects: [[1, name]], urls: ['/experiments/1']}],
+        results: [{model: 'Experiment', join_index: -1, objects: []}]
+      }
+    };
+  };
+  var http = CuriousMockHttp().respond('Experiment', named('a'))
+                              .respond('/experiments/1', {id: 1, name: 'b'}, {method: 'PUT'});
+  var clt = CuriousQ('/curious/q', http, null, true, {cache: true});
+  var q = new CuriousQuery().start('Experiment', 'experiments');
+
+  return q.promise(clt).then(function(objects) {
+    var o = objects.experiments[0];
+    o.name = 'b';
+    http.respond('Experiment', named('b'));
+    return clt.save(o);
+  }).then(function() {
+    return q.promise(clt);
+  }).then(function(objects) {
+    assert.strictEqual(objects.experiments[0].name, 'b');
+    assert.strictEqual(http.requests.filter(function(r) { return r.method === 'POST'; }).length, 2);
+  });
+});
+
+var CuriousCache = curious.CuriousCache;
+
+// a send() for CuriousCache.fetch answering with a response of the model on
+// the next tick, counting the requests sent
+function sender(model) {
+  var send = function() {
+    var req = {
+      success: function(cb) {
+        setTimeout(function() { cb({result: {data: [], results: [{model: model}]}}, 200); }, 0);
+        return req;
+      },
+      error: function() { return req; }
+    };
+    send.sent++;
+    return req;
+  };
+  send.sent = 0;
+  return send;
+}
+
+function fetch(cache, q, send) {
+  return new Promise(function(resolve, reject) {
+    cache.fetch({q: q}, send, function(resp) { resolve(resp); }, reject);
+  });
+}
+
+function wait(ms) {
+  return new Promise(function(resolve) { setTimeout(resolve, ms); });
+}
+
+test('responses expire after the ttl', function() {
+  var cache = new CuriousCache({ttl: 30});
+  var send = sender('Experiment');
+
+  return fetch(cache, 'Experiment', send).then(function() {
+    return fetch(cache, 'Experiment', send);
+  }).then(function() {
+    assert.strictEqual(send.sent, 1);
+    return wait(40);
+  }).then(function() {
+    return fetch(cache, 'Experiment', send);
+  }).then(function() {
+    assert.strictEqual(send.sent, 2);
+  });
+});
+
+test('the least recently used responses are evicted past max_size', function() {
+  var cache = new CuriousCache({max_size: 2});
+  var send = sender('Experiment');
+
+  return fetch(cache, 'A', send).then(function() {
+    return fetch(cache, 'B', send);
+  }).then(function() {
+    return fetch(cache, 'A', send);
+  }).then(function() {
+    return fetch(cache, 'C', send);
+  }).then(function() {
+    assert.strictEqual(send.sent, 3);
+    assert.strictEqual(cache.size(), 2);
+    return fetch(cache, 'A', send);
+  }).then(function() {
+    assert.strictEqual(send.sent, 3);
+    return fetch(cache, 'B', send);
+  }).then(function() {
+    assert.strictEqual(send.sent, 4);
+  });
+});
+
+test('concurrent queries share one request', function() {
+  var http = server(experiments, 10);
+  var clt = CuriousQ('/curious/q', http, null, true, {cache: true});
+  var q = new CuriousQuery().start('Experiment', 'experiments');
+
+  return Promise.all([q.promise(clt), q.promise(clt), q.promise(clt)]).then(function(results) {
+    assert.strictEqual(http.requests.length, 1);
+    assert.strictEqual(results.length, 3);
+    assert.notStrictEqual(results[0].experiments[0], results[1].experiments[0]);
+    assert.strictEqual(results[2].experiments[0].id, 1);
+  });
+});
+
+test('invalidate drops the responses with objects of a model', function() {
+  var cache = new CuriousCache();
+  var experiment = sender('Experiment');
+  var reaction = sender('Reaction');
+  var pending;
+
+  return Promise.all([fetch(cache, 'Experiment', experiment), fetch(cache, 'Reaction', reaction)]).then(function() {
+    cache.invalidate('Experiment');
+    assert.strictEqual(cache.size(), 1);
+    return Promise.all([fetch(cache, 'Experiment', experiment), fetch(cache, 'Reaction', reaction)]);
+  }).then(function() {
+    assert.strictEqual(experiment.sent, 2);
+    assert.strictEqual(reaction.sent, 1);
+
+    // a request in flight when invalidate is called is not cached
+    pending = fetch(cache, 'Other', reaction);
+    cache.invalidate('Experiment');
+    return pending;
+  }).then(function() {
+    return fetch(cache, 'Other', reaction);
+  }).then(function() {
+    assert.strictEqual(reaction.sent, 3);
+  });
+});
@@ -0,0 +1,128 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var curious = require('../index.js');
+
+var CuriousQ = curious.CuriousQ;
+var CuriousQuery = curious.CuriousQuery;
+
+var experiments = {
+  result: {
+    data: [{fields: ['id'], objects: [[1]], urls: ['/experiments/1']}],
+    results: [{model: 'Experiment', join_index: -1, objects: []}]
+  }
+};
+
+// a transport answering after 50 ms, counting the requests aborted
+function slow_http() {
+  var http = {aborted: 0, requests: []};
+  http.post = function(url, args) {
+    var cbs = {};
+    var timer = setTimeout(function() { cbs.success(JSON.parse(JSON.stringify(experiments)), 200); }, 50);
+    http.requests.push(args);
+    return {
+      success: function(cb) { cbs.success = cb; return this; },
+      error: function(cb) { cbs.error = cb; return this; },
+      abort: function() { http.aborted++; clearTimeout(timer); return this; }
+    };
+  };
+  return http;
+}
+
+function wait(ms) {
+  return new Promise(function(resolve) { setTimeout(resolve, ms); });
+}
+
+// runs the query, collecting what its callbacks got until well after the
+// response would have arrived
+function run(clt, options) {
+  var calls = [];
+  new CuriousQuery().start('Experiment', 'experiments').perform(clt,
+    function() { calls.push('objects'); },
+    function() { calls.push('trees'); },
+    function(e) { calls.push(e); }, options);
+  return calls;
+}
+
+test('a query whose signal is already aborted is never sent', function() {
+  var http = slow_http();
+  var ac = new AbortController();
+  var calls;
+
+  ac.abort();
+  calls = run(CuriousQ('/curious/q', http, null, true), {signal: ac.signal});
+  return wait(80).then(function() {
+    assert.strictEqual(http.requests.length, 0);
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].cancelled, true);
+    assert.strictEqual(calls[0].message, 'Curious request cancelled');
+  });
+});
+
+test('aborting a query in flight aborts the transport request', function() {
+  var http = slow_http();
+  var ac = new AbortController();
+  var calls = run(CuriousQ('/curious/q', http, null, true), {signal: ac.signal});
+
+  return wait(10).then(function() {
+    ac.abort();
+    return wait(80);
+  }).then(function() {
+    assert.strictEqual(http.aborted, 1);
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].cancelled, true);
+  });
+});
+
+test('aborting a query sharing a cached request leaves the request to the others', function() {
+  var http = slow_http();
+  var clt = CuriousQ('/curious/q', http, null, true, {cache: true});
+  var ac = new AbortController();
+  var cancelled = run(clt, {signal: ac.signal});
+  var other = run(clt);
+
+  return wait(10).then(function() {
+    ac.abort();
+    return wait(80);
+  }).then(function() {
+    assert.strictEqual(http.requests.length, 1);
+    assert.strictEqual(http.aborted, 0);
+    assert.strictEqual(cancelled.length, 1);
+    assert.strictEqual(cancelled[0].cancelled, true);
+    assert.deepStrictEqual(other, ['objects', 'trees']);
+  });
+});
+
+test('timed out queries fail and never resolve', function() {
+  var http = slow_http();
+  var clt = CuriousQ('/curious/q', http, null, true);
+  var calls = run(clt, {timeout: 10});
+  var q = new CuriousQuery().start('Experiment', 'experiments');
+
+  return q.promise(clt, {timeout: 10}).then(function() {
+    assert.fail('timed out query resolved');
+  }, function(e) {
+    assert.strictEqual(e.timed_out, true);
+    assert.strictEqual(e.message, 'Curious request timed out after 10 ms');
+    return wait(80);
+  }).then(function() {
+    assert.strictEqual(http.aborted, 2);
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].timed_out, true);
+  });
+});
+
+test('cancelling a query without an error callback is silent', function() {
+  var http = slow_http();
+  var warnings = [];
+  var clt = CuriousQ('/curious/q', http, null, true, {warn: function(m) { warnings.push(m); }});
+  var ac = new AbortController();
+  var called = false;
+
+  new CuriousQuery().start('Experiment', 'experiments').perform(clt, function() { called = true; }, null, null,
+                                                                 {signal: ac.signal});
+  ac.abort();
+  return wait(80).then(function() {
+    assert.strictEqual(called, false);
+    assert.deepStrictEqual(warnings, []);
+  });
+});
@@ -0,0 +1,84 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var curious = require('../index.js');
+
+var CuriousQ = curious.CuriousQ;
+var CuriousQuery = curious.CuriousQuery;
+var CuriousChain = curious.CuriousChain;
+var CuriousMockHttp = curious.CuriousMockHttp;
+
+// experiments 1 and 2 have reactions, 3 has none; reactions 10 and 11 of
+// experiment 1 both make product 100
+var response = {
+  result: {
+    data: [
+      {fields: ['id'], objects: [[1], [2], [3]], urls: [null, null, null]},
+      {fields: ['id', 'yield'], objects: [[10, 0.9], [11, 0.2], [12, 0.7]], urls: [null, null, null]},
+      {fields: ['id'], objects: [[100], [101]], urls: [null, null]}
+    ],
+    results: [
+      {model: 'Experiment', join_index: -1, objects: []},
+      {model: 'Reaction', join_index: 0, objects: [[10, 1], [11, 1], [12, 2]]},
+      {model: 'Product', join_index: 1, objects: [[100, 10], [100, 11], [101, 12]]}
+    ]
+  }
+};
+
+function Experiment() {}
+
+function load(query) {
+  var http = CuriousMockHttp().respond(/^Experiment/, response);
+  return query.promise(CuriousQ('/curious/q', http, null, true));
+}
+
+function ids(objects) {
+  return objects.map(function(o) { return o === null ? null : o.id; });
+}
+
+var query = new CuriousQuery().start('Experiment', 'experiments')
+  .follow('Experiment.reaction_set', 'reactions')
+  .follow('Reaction.products', 'products');
+
+test('path() follows relationships without duplicates', function() {
+  return load(query).then(function(objects) {
+    var e = objects.experiments[0];
+    assert.deepStrictEqual(ids(e.path('reactions')), [10, 11]);
+    assert.deepStrictEqual(ids(e.path('reactions.products')), [100]);
+    assert.deepStrictEqual(ids(e.path(['reactions', 'products', 'reactions'])), [10, 11]);
+    assert.deepStrictEqual(objects.experiments[2].path('reactions.products'), []);
+  });
+});
+
+test('chains follow, filter, map and group objects', function() {
+  return load(query).then(function(objects) {
+    var chain = new CuriousChain(objects.experiments);
+    var groups = chain.group_by('reactions.products');
+
+    assert.deepStrictEqual(ids(chain.follow('reactions.products').value()), [100, 101]);
+    assert.deepStrictEqual(ids(chain.follow('reactions').filter(function(r) { return r.yield > 0.5; })
+                                 .follow('products').value()), [100, 101]);
+    assert.deepStrictEqual(chain.follow('reactions').map(function(r) { return r.yield; }).value(), [0.9, 0.2, 0.7]);
+    assert.deepStrictEqual(ids(new CuriousChain([objects.experiments[0], objects.experiments[0]]).unique().value()),
+                           [1]);
+
+    assert.deepStrictEqual(groups.map(function(g) { return [g.key === null ? null : g.key.id, ids(g.objects)]; }),
+                           [[100, [1]], [101, [2]], [null, [3]]]);
+  });
+});
+
+test('path is non-enumerable, and added to objects of wrap_with classes', function() {
+  function Reaction() {}
+  Reaction.prototype.path = function() { return 'own'; };
+  var q = new CuriousQuery().start('Experiment', 'experiments').wrap_with(Experiment)
+    .follow('Experiment.reaction_set', 'reactions').wrap_with(Reaction)
+    .follow('Reaction.products', 'products');
+
+  return load(q).then(function(objects) {
+    var e = objects.experiments[0];
+    assert.ok(e instanceof Experiment);
+    assert.deepStrictEqual(ids(e.path('reactions.products')), [100]);
+    assert.strictEqual(Object.keys(e).indexOf('path'), -1);
+    assert.strictEqual(Object.keys(objects.products[0]).indexOf('path'), -1);
+    assert.strictEqual(objects.reactions[0].path(), 'own');
+  });
+});
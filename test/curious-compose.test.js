@@ -0,0 +1,80 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var curious = require('../index.js');
+
+var CuriousQ = curious.CuriousQ;
+var CuriousQuery = curious.CuriousQuery;
+var CuriousFilter = curious.CuriousFilter;
+var CuriousMockHttp = curious.CuriousMockHttp;
+
+function ids(objects) {
+  return objects.map(function(o) { return o.id; });
+}
+
+test('nested queries serialize inside conditional terms', function() {
+  var made_water = new CuriousQuery().start('Experiment.reaction_set')
+    .follow(new CuriousFilter('Reaction.products').where('name', 'water'));
+  var q = new CuriousQuery().start('Experiment', 'experiments')
+    .having(made_water)
+    .not_having(new CuriousQuery().start('Experiment.owner(name="bob")'))
+    .follow('Experiment.reaction_set', 'reactions');
+
+  assert.strictEqual(q.query(), 'Experiment +(Experiment.reaction_set, Reaction.products(name="water")) '+
+                                '-(Experiment.owner(name="bob")), Experiment.reaction_set');
+  assert.deepStrictEqual(q.relationships, ['experiments', 'reactions']);
+  assert.throws(function() { q.having(new CuriousQuery()); }, /Cannot nest an empty query/);
+});
+
+test('fragments bring their relationships and object constructors', function() {
+  function Product() {}
+  var http = CuriousMockHttp().respond('Reaction(id=10), Reaction.products', {
+    result: {
+      data: [{fields: ['id'], objects: [[10]], urls: [null]}, {fields: ['id'], objects: [[100]], urls: [null]}],
+      results: [{model: 'Reaction', join_index: -1, objects: []},
+                {model: 'Product', join_index: 0, objects: [[100, 10]]}]
+    }
+  });
+  var q;
+
+  CuriousQuery.define_fragment('test_products',
+    new CuriousQuery().follow('Reaction.products', 'products').wrap_with(Product));
+  q = new CuriousQuery().start('Reaction(id=10)', 'reactions').splice('test_products');
+
+  assert.strictEqual(q.query(), 'Reaction(id=10), Reaction.products');
+  assert.deepStrictEqual(q.relationships, ['reactions', 'products']);
+  assert.throws(function() { q.splice('no_such_fragment'); }, /Unknown query fragment/);
+  return q.promise(CuriousQ('/curious/q', http, null, true)).then(function(objects) {
+    assert.ok(objects.products[0] instanceof Product);
+    assert.deepStrictEqual(objects.reactions[0].products, objects.products);
+  });
+});
+
+test('unions combine branches without duplicates, sharing their objects', function() {
+  var http = CuriousMockHttp()
+    .respond('Experiment(id=1), Experiment.reaction_set', {
+      result: {
+        data: [{fields: ['id'], objects: [[1]], urls: [null]}, {fields: ['id'], objects: [[10]], urls: [null]}],
+        results: [{model: 'Experiment', join_index: -1, objects: []},
+                  {model: 'Reaction', join_index: 0, objects: [[10, 1]]}]
+      }
+    })
+    .respond('Experiment(owner_id=5)', {
+      result: {
+        data: [{fields: ['id', 'name'], objects: [[1, 'a'], [2, 'b']], urls: [null, null]}],
+        results: [{model: 'Experiment', join_index: -1, objects: []}]
+      }
+    });
+  var clt = CuriousQ('/curious/q', http, null, true);
+  var union = new CuriousQuery().start('Experiment(id=1)', 'experiments')
+    .follow('Experiment.reaction_set', 'reactions')
+    .or(new CuriousQuery().start('Experiment(owner_id=5)', 'experiments'));
+
+  return union.promise(clt).then(function(objects) {
+    var e = objects.experiments[0];
+    assert.strictEqual(http.requests.length, 2);
+    assert.deepStrictEqual(ids(objects.experiments), [1, 2]);
+    assert.strictEqual(e.name, 'a');
+    assert.deepStrictEqual(ids(e.reactions), [10]);
+    assert.deepStrictEqual(ids(objects.reactions), [10]);
+  });
+});
@@ -0,0 +1,78 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var curious = require('../index.js');
+
+var CuriousQ = curious.CuriousQ;
+var CuriousQuery = curious.CuriousQuery;
+var CuriousMockHttp = curious.CuriousMockHttp;
+
+// reaction 11 is joined to experiment 2, which is not in the response
+var response = {
+  result: {
+    data: [{fields: ['id'], objects: [[1]], urls: [null]},
+           {fields: ['id'], objects: [[10], [11]], urls: [null, null]}],
+    results: [{model: 'Experiment', join_index: -1, objects: []},
+              {model: 'Reaction', join_index: 0, objects: [[10, 1], [11, 2]]}]
+  }
+};
+
+var query = new CuriousQuery().start('Experiment', 'experiments').follow('Experiment.reaction_set', 'reactions');
+
+test('records have the request, its timings, size, counts and dropped joins', function() {
+  var logged = [];
+  var http = CuriousMockHttp().respond(query.query(), response);
+  var moved = {request: function(ctx) { ctx.url = '/curious/v2'; ctx.args.token = 't'; }};
+  var clt = CuriousQ('/curious/q', http, {x: 0}, true,
+                     {debug: {logger: function(r) { logged.push(r); }}, middleware: [moved]});
+
+  return query.promise(clt).then(function() {
+    var r = clt.debug.last();
+    assert.deepStrictEqual(logged, [r]);
+    assert.strictEqual(r.query, query.query());
+    assert.strictEqual(r.url, '/curious/v2');
+    assert.strictEqual(r.args.token, 't');
+    assert.strictEqual(r.args.x, 0);
+    assert.strictEqual(r.status, 200);
+    assert.strictEqual(r.error, null);
+    assert.strictEqual(r.payload_size, JSON.stringify(response).length);
+    assert.deepStrictEqual(r.counts, {experiments: 1, reactions: 2});
+    assert.deepStrictEqual(r.dropped, [{subquery: 1, relationship: 'reactions', object_id: 11, source_id: 2,
+                                        missing: 'source'}]);
+    ['network_ms', 'parse_ms', 'total_ms'].forEach(function(k) {
+      assert.ok(typeof r[k] === 'number' && r[k] >= 0, k);
+    });
+    assert.ok(r.total_ms >= r.network_ms);
+  });
+});
+
+test('records of failed requests have the status and error', function() {
+  var http = CuriousMockHttp().respond(query.query(), {error: 'Unavailable'}, {status: 503});
+  var clt = CuriousQ('/curious/q', http, null, true, {debug: true});
+
+  return query.promise(clt).then(function() {
+    assert.fail('failed query resolved');
+  }, function() {
+    var r = clt.debug.last();
+    assert.strictEqual(r.status, 503);
+    assert.strictEqual(r.error, 'Unavailable');
+    assert.strictEqual(r.counts, null);
+    assert.strictEqual(r.parse_ms, null);
+  });
+});
+
+test('only the latest max_records records are kept', function() {
+  var http = CuriousMockHttp().respond(/^Experiment/, response);
+  var clt = CuriousQ('/curious/q', http, null, true, {debug: {max_records: 2}});
+  var queries = ['Experiment(id=1)', 'Experiment(id=2)', 'Experiment(id=3)'].map(function(s) {
+    return new CuriousQuery().start(s, 'experiments').follow('Experiment.reaction_set', 'reactions');
+  });
+
+  return queries.reduce(function(p, q) {
+    return p.then(function() { return q.promise(clt); });
+  }, Promise.resolve()).then(function() {
+    assert.deepStrictEqual(clt.debug.records.map(function(r) { return r.query; }),
+                           [queries[1].query(), queries[2].query()]);
+    clt.debug.clear();
+    assert.strictEqual(clt.debug.last(), null);
+  });
+});
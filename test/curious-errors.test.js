@@ -0,0 +1,111 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var curious = require('../index.js');
+
+var CuriousQ = curious.CuriousQ;
+var CuriousQuery = curious.CuriousQuery;
+var CuriousError = curious.CuriousError;
+var CuriousMockHttp = curious.CuriousMockHttp;
+
+// A transport answering every query with body and status
+function answering(body, status) {
+  return {
+    post: function() {
+      var cbs = {};
+      setTimeout(function() {
+        if (status >= 200 && status < 300) { cbs.success(body, status); }
+        else { cbs.error(body, status); }
+      }, 0);
+      return {
+        success: function(cb) { cbs.success = cb; return this; },
+        error: function(cb) { cbs.error = cb; return this; }
+      };
+    }
+  };
+}
+
+test('promise() rejects with a CuriousError for failed requests', function() {
+  var clt = CuriousQ('/curious/q', answering({error: 'Unavailable'}, 503), null, true);
+
+  return new CuriousQuery().start('Experiment', 'experiments').promise(clt).then(function() {
+    assert.fail('promise resolved');
+  }, function(error) {
+    assert.ok(error instanceof CuriousError);
+    assert.strictEqual(error.message, 'Unavailable');
+    assert.strictEqual(error.status, 503);
+    assert.strictEqual(error.query, 'Experiment');
+    assert.deepStrictEqual(error.response, {error: 'Unavailable'});
+  });
+});
+
+test('responses without a result are parse errors', function() {
+  var clt = CuriousQ('/curious/q', answering({}, 200), null, true);
+
+  return new CuriousQuery().start('Experiment', 'experiments').promise(clt).then(function() {
+    assert.fail('promise resolved');
+  }, function(error) {
+    assert.ok(error instanceof CuriousError);
+    assert.strictEqual(error.message, 'Cannot parse Curious response: response has no result');
+    assert.strictEqual(error.status, 200);
+  });
+});
+
+test('errors of queries without an error callback go to the client\'s warn', function() {
+  var q = new CuriousQuery().start('Experiment', 'experiments');
+
+  return new Promise(function(resolve) {
+    var clt = CuriousQ('/curious/q', answering({error: 'Unavailable'}, 503), null, true, {warn: resolve});
+    q.perform(clt, function() { assert.fail('objects_cb called'); });
+  }).then(function(message) {
+    assert.strictEqual(message, 'Curious: Unavailable');
+  });
+});
+
+test('promise() still rejects with the CuriousError', function() {
+  var warnings = [];
+  var clt = CuriousQ('/curious/q', answering({error: 'Unavailable'}, 503), null, true,
+                     {warn: function(m) { warnings.push(m); }});
+
+  return new CuriousQuery().start('Experiment', 'experiments').promise(clt).then(function() {
+    assert.fail('promise resolved');
+  }, function(error) {
+    assert.ok(error instanceof CuriousError);
+    assert.strictEqual(error.status, 503);
+    assert.deepStrictEqual(warnings, []);
+  });
+});
+
+test('quiet clients without a warn option send such errors to console.error', function() {
+  var clt = CuriousQ('/curious/q', answering({error: 'Unavailable'}, 503), null, true);
+  var console_error = console.error;
+  var errors = [];
+
+  return new Promise(function(resolve) {
+    console.error = function(e) { errors.push(e); resolve(); };
+    new CuriousQuery().start('Experiment', 'experiments').perform(clt, function() {
+      assert.fail('objects_cb called');
+    });
+  }).then(function() {
+    console.error = console_error;
+    assert.strictEqual(errors.length, 1);
+    assert.ok(errors[0] instanceof CuriousError);
+    assert.strictEqual(errors[0].status, 503);
+  }, function(e) {
+    console.error = console_error;
+    throw e;
+  });
+});
+
+test('unions without an error callback report failing branches through the client', function() {
+  var http = CuriousMockHttp().respond('Experiment', {error: 'Unavailable'}, {status: 503})
+                              .respond('Reaction', {error: 'Gone'}, {status: 410});
+  var warnings = [];
+  var clt = CuriousQ('/curious/q', http, null, true, {warn: function(m) { warnings.push(m); }});
+  var union = new CuriousQuery().start('Experiment', 'experiments')
+    .or(new CuriousQuery().start('Reaction', 'reactions'));
+
+  union.perform(clt, function() { assert.fail('objects_cb called'); });
+  return new Promise(function(resolve) { setTimeout(resolve, 20); }).then(function() {
+    assert.deepStrictEqual(warnings.sort(), ['Curious: Gone', 'Curious: Unavailable']);
+  });
+});
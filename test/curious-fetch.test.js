@@ -0,0 +1,131 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var http = require('http');
+var curious = require('../index.js');
+
+var CuriousFetch = curious.CuriousFetch;
+
+// a server answering POST /ok with the request, /fail with a 500 and /slow
+// after 300 ms
+function server() {
+  return new Promise(function(resolve) {
+    var srv = http.createServer(function(req, res) {
+      var body = '';
+      req.on('data', function(c) { body += c; });
+      req.on('end', function() {
+        var echo = JSON.stringify({method: req.method, url: req.url, headers: req.headers, body: body});
+        if (req.url === '/fail') {
+          res.statusCode = 500;
+          res.end(JSON.stringify({error: 'Broken'}));
+        }
+        else if (req.url === '/slow') { setTimeout(function() { res.end(echo); }, 300); }
+        else { res.end(echo); }
+      });
+    });
+    srv.listen(0, '127.0.0.1', function() {
+      resolve({
+        url: function(path) { return 'http://127.0.0.1:'+srv.address().port+path; },
+        close: function() { srv.closeAllConnections(); srv.close(); }
+      });
+    });
+  });
+}
+
+// the callbacks a request called, with their arguments, once it settles
+function settle(req) {
+  var calls = [];
+  req.success(function(resp, status) { calls.push(['success', resp, status]); })
+     .error(function(resp, status) { calls.push(['error', resp, status]); });
+  return req.then(function(resp) { return {calls: calls, resp: resp}; },
+                  function(e) { return {calls: calls, error: e}; })
+            .then(function(r) {
+              // callbacks run on their own tick
+              return new Promise(function(resolve) { setTimeout(function() { resolve(r); }, 10); });
+            });
+}
+
+test('successful requests call success and resolve with the parsed response', function() {
+  return server().then(function(srv) {
+    return settle(CuriousFetch.post(srv.url('/ok'), {q: 'Experiment'}, {params: {x: 1}})).then(function(r) {
+      assert.strictEqual(r.resp.method, 'POST');
+      assert.strictEqual(r.resp.url, '/ok?x=1');
+      assert.strictEqual(r.resp.body, '{"q":"Experiment"}');
+      assert.strictEqual(r.resp.headers['content-type'], 'application/json');
+      assert.deepStrictEqual(r.calls, [['success', r.resp, 200]]);
+    }).finally(srv.close);
+  });
+});
+
+test('failed requests call error and reject with the status and response', function() {
+  return server().then(function(srv) {
+    return settle(CuriousFetch.put(srv.url('/fail'), {name: 'a'})).then(function(r) {
+      assert.deepStrictEqual(r.calls, [['error', {error: 'Broken'}, 500]]);
+      assert.strictEqual(r.error.name, 'CuriousHttpError');
+      assert.strictEqual(r.error.message, 'Broken');
+      assert.strictEqual(r.error.status, 500);
+      assert.deepStrictEqual(r.error.response, {error: 'Broken'});
+    }).finally(srv.close);
+  });
+});
+
+test('headers and credentials come from the defaults and the request', function() {
+  var inits = [];
+  var transport = CuriousFetch.with_options({
+    headers: {'X-App': 'curious', 'X-User': 'alice'},
+    credentials: 'include',
+    fetch: function(url, init) { inits.push(init); return fetch(url, init); }
+  });
+
+  return server().then(function(srv) {
+    return transport.post(srv.url('/ok'), {}, {headers: {'X-User': 'bob'}}).then(function(resp) {
+      assert.strictEqual(resp.headers['x-app'], 'curious');
+      assert.strictEqual(resp.headers['x-user'], 'bob');
+      assert.strictEqual(inits[0].credentials, 'include');
+    }).finally(srv.close);
+  });
+});
+
+test('requests time out', function() {
+  return server().then(function(srv) {
+    return settle(CuriousFetch.post(srv.url('/slow'), {}, {timeout: 20})).then(function(r) {
+      assert.deepStrictEqual(r.calls, [['error', 'Request timed out', null]]);
+      assert.strictEqual(r.error.timed_out, true);
+      assert.strictEqual(r.error.status, null);
+    }).finally(srv.close);
+  });
+});
+
+test('aborted requests reject as cancelled and call neither callback', function() {
+  return server().then(function(srv) {
+    var req = CuriousFetch.post(srv.url('/slow'), {});
+    var settled = settle(req);
+    setTimeout(function() { req.abort(); }, 20);
+    return settled.then(function(r) {
+      assert.deepStrictEqual(r.calls, []);
+      assert.strictEqual(r.error.cancelled, true);
+    }).finally(srv.close);
+  });
+});
+
+test('aborting the signal aborts the request, which then stops listening', function() {
+  return server().then(function(srv) {
+    var ac = new AbortController();
+    var settled = settle(CuriousFetch.post(srv.url('/slow'), {}, {signal: ac.signal}));
+    var listeners = 0;
+    var signal = {
+      aborted: false,
+      addEventListener: function() { listeners++; },
+      removeEventListener: function() { listeners--; }
+    };
+    var done = CuriousFetch.post(srv.url('/ok'), {}, {signal: signal});
+
+    setTimeout(function() { ac.abort(); }, 20);
+    return settled.then(function(r) {
+      assert.deepStrictEqual(r.calls, []);
+      assert.strictEqual(r.error.cancelled, true);
+      return done;
+    }).then(function() {
+      assert.strictEqual(listeners, 0);
+    }).finally(srv.close);
+  });
+});
@@ -0,0 +1,54 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var curious = require('../index.js');
+
+var CuriousFilter = curious.CuriousFilter;
+
+test('string values are quoted with quotes and backslashes escaped', function() {
+  var f = new CuriousFilter('Experiment').where('name', 'a") Experiment.owner, +(x\\');
+  assert.strictEqual(f.to_s(), 'Experiment(name="a\\") Experiment.owner, +(x\\\\")');
+});
+
+test('values of other types are written as the server reads them', function() {
+  var f = new CuriousFilter('Experiment.reaction_set')
+    .where({id__in: [1, 'two'], owner__isnull: false, score: 1.5, archived: true, parent: null})
+    .where('created__gte', new Date(Date.UTC(2020, 0, 2)))
+    .order_by('-created', 'name')
+    .limit(10);
+  assert.strictEqual(f.to_s(),
+    'Experiment.reaction_set(id__in=[1, "two"], owner__isnull=False, score=1.5, archived=True, parent=None, '+
+    'created__gte="2020-01-02T00:00:00.000Z"){order_by("-created", "name"), limit(10)}');
+});
+
+test('invalid joins and field names are rejected', function() {
+  ['Experiment(id=1)', 'Experiment.', 'Experiment reaction_set', '1Experiment', ''].forEach(function(join) {
+    assert.throws(function() { new CuriousFilter(join); }, /Invalid model or relationship name/);
+  });
+  ['name)', 'name="x"', 'a b', 'owner.name', 'name___in', 'name__', 'name__1x'].forEach(function(field) {
+    assert.throws(function() { new CuriousFilter('Experiment').where(field, 1); }, /Invalid filter field/);
+  });
+  assert.throws(function() { new CuriousFilter('Experiment').order_by('name")'); }, /Invalid ordering field/);
+  assert.throws(function() { new CuriousFilter('Experiment').limit(0); }, /Invalid limit/);
+  assert.throws(function() { new CuriousFilter('Experiment').where('id', 1).where('id', 2); }, /already set/);
+});
+
+test('lookups check their values', function() {
+  var f = new CuriousFilter('Experiment');
+  assert.throws(function() { f.where('id__in', 1); }, /'id__in' requires a list/);
+  assert.throws(function() { f.where('id__range', [1]); }, /'id__range' requires a list of two values/);
+  assert.throws(function() { f.where('owner__isnull', 'yes'); }, /'owner__isnull' requires true or false/);
+  assert.throws(function() { f.where('id__gt', [1, 2]); }, /'id__gt' does not take a list/);
+  assert.throws(function() { f.where('id__in', [[1]]); }, /nested lists are not allowed/);
+  assert.throws(function() { f.where('score', NaN); }, /Invalid value for filter 'score'/);
+  assert.throws(function() { f.where('created', new Date('x')); }, /Invalid date for filter 'created'/);
+  assert.throws(function() { f.where('data', {}); }, /Invalid value for filter 'data': object/);
+  assert.strictEqual(f.filters.length, 0);
+  assert.strictEqual(f.where('id__range', [1, 5]).to_s(), 'Experiment(id__range=[1, 5])');
+});
+
+test('control characters in string values are escaped', function() {
+  var f = new CuriousFilter('Experiment').where('name', 'a\nb\r\tc\u0000\u001f\u007f');
+  assert.strictEqual(f.to_s(), 'Experiment(name="a\\nb\\r\\tc\\u0000\\u001f\\u007f")');
+  assert.strictEqual(f.to_s().indexOf('\n'), -1);
+  assert.strictEqual(curious.CuriousQuery.parse(f.to_s()).terms.length, 1);
+});
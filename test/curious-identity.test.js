@@ -0,0 +1,88 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var curious = require('../index.js');
+
+var CuriousQ = curious.CuriousQ;
+var CuriousQuery = curious.CuriousQuery;
+var CuriousIdentityMap = curious.CuriousIdentityMap;
+
+function experiment(name, model, id) {
+  return {
+    result: {
+      data: [{fields: ['id', 'name'], objects: [[1, name]], urls: ['/experiments/1']},
+             {fields: ['id'], objects: [[id]], urls: [null]}],
+      results: [{model: 'Experiment', join_index: -1, objects: []},
+                {model: model, join_index: 0, objects: [[id, 1]]}]
+    }
+  };
+}
+
+var reactions = new CuriousQuery().start('Experiment(id=1)', 'experiments')
+  .follow('Experiment.reaction_set', 'reactions');
+var owners = new CuriousQuery().start('Experiment(id=1)', 'experiments').follow('Experiment.owner', 'owners');
+
+// A transport answering each query with the response given for it
+function server(responses) {
+  return {
+    post: function(url, args) {
+      var cbs = {};
+      setTimeout(function() { cbs.success(responses[args.q], 200); }, 0);
+      return {
+        success: function(cb) { cbs.success = cb; return this; },
+        error: function(cb) { cbs.error = cb; return this; }
+      };
+    }
+  };
+}
+
+function client(map) {
+  var responses = {};
+  responses[reactions.query()] = experiment('a', 'Reaction', 10);
+  responses[owners.query()] = experiment('b', 'User', 5);
+  return CuriousQ('/curious/q', server(responses), null, true, {identity_map: map});
+}
+
+test('queries share one object per row, merging relationships and updating fields', function() {
+  var map = new CuriousIdentityMap();
+  var clt = client(map);
+  var first;
+
+  assert.strictEqual(clt.identity_map, map);
+  return reactions.promise(clt).then(function(objects) {
+    first = objects.experiments[0];
+    assert.strictEqual(first.name, 'a');
+    return owners.promise(clt);
+  }).then(function(objects) {
+    var e = objects.experiments[0];
+    assert.strictEqual(e, first);
+    assert.strictEqual(e.name, 'b');
+    assert.deepStrictEqual(e.reactions.map(function(r) { return r.id; }), [10]);
+    assert.deepStrictEqual(e.owners.map(function(u) { return u.id; }), [5]);
+    assert.strictEqual(map.get('Experiment', 1), e);
+    assert.strictEqual(map.get('Reaction', 10), e.reactions[0]);
+    assert.strictEqual(map.get('Experiment', 2), null);
+    assert.strictEqual(map.size(), 3);
+  });
+});
+
+test('evicted and cleared objects are built anew', function() {
+  var clt = client(true);
+  var map = clt.identity_map;
+  var first;
+
+  return reactions.promise(clt).then(function(objects) {
+    first = objects.experiments[0];
+    map.evict('Reaction', 10);
+    assert.strictEqual(map.get('Reaction', 10), null);
+    assert.strictEqual(map.get('Experiment', 1), first);
+    map.evict('Experiment');
+    assert.deepStrictEqual(map.all('Experiment'), []);
+    return reactions.promise(clt);
+  }).then(function(objects) {
+    assert.notStrictEqual(objects.experiments[0], first);
+    assert.strictEqual(map.size(), 2);
+    map.clear();
+    assert.strictEqual(map.size(), 0);
+    assert.strictEqual(map.get('Experiment', 1), null);
+  });
+});
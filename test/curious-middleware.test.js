@@ -0,0 +1,120 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var curious = require('../index.js');
+
+var CuriousQ = curious.CuriousQ;
+var CuriousQuery = curious.CuriousQuery;
+var CuriousError = curious.CuriousError;
+
+function experiments(name) {
+  return {
+    result: {
+      data: [{fields: ['id', 'name'], objects: [[1, name]], urls: [null]}],
+      results: [{model: 'Experiment', join_index: -1, objects: []}]
+    }
+  };
+}
+
+// A transport answering every query with response, keeping the args and
+// headers of the requests sent
+function server(response) {
+  var http = {requests: []};
+  http.post = function(url, args, config) {
+    var cbs = {};
+    http.requests.push({args: JSON.parse(JSON.stringify(args)), headers: (config && config.headers) || {}});
+    setTimeout(function() { cbs.success(JSON.parse(JSON.stringify(response)), 200); }, 0);
+    return {
+      success: function(cb) { cbs.success = cb; return this; },
+      error: function(cb) { cbs.error = cb; return this; }
+    };
+  };
+  return http;
+}
+
+var query = new CuriousQuery().start('Experiment', 'experiments');
+
+test('request middleware may be async and runs in order', function() {
+  var http = server(experiments('a'));
+  var order = [];
+  var token = {request: function(ctx) {
+    return new Promise(function(resolve) {
+      setTimeout(function() {
+        order.push('token');
+        ctx.headers.Authorization = 'Bearer t';
+        resolve();
+      }, 10);
+    });
+  }};
+  var tag = {request: function(ctx) { order.push('tag'); ctx.args.tag = ctx.headers.Authorization; }};
+  var clt = CuriousQ('/curious/q', http, null, true, {middleware: [token]}).use(tag);
+
+  return query.promise(clt).then(function(objects) {
+    assert.strictEqual(objects.experiments[0].name, 'a');
+    assert.deepStrictEqual(order, ['token', 'tag']);
+    assert.strictEqual(http.requests[0].headers.Authorization, 'Bearer t');
+    assert.strictEqual(http.requests[0].args.tag, 'Bearer t');
+  });
+});
+
+test('request middleware setting ctx.response skips the request', function() {
+  var http = server(null);
+  var later = false;
+  var canned = {request: function(ctx) {
+    assert.strictEqual(ctx.query, 'Experiment');
+    assert.strictEqual(ctx.method, 'POST');
+    ctx.response = experiments('canned');
+  }};
+  var clt = CuriousQ('/curious/q', http, null, true, {middleware: [canned, {request: function() { later = true; }}]});
+
+  return query.promise(clt).then(function(objects) {
+    assert.strictEqual(objects.experiments[0].name, 'canned');
+    assert.strictEqual(http.requests.length, 0);
+    assert.strictEqual(later, false);
+  });
+});
+
+test('response middleware can replace the result before it is parsed', function() {
+  var http = server(experiments('a'));
+  var statuses = [];
+  var upper = {response: function(result, ctx) {
+    statuses.push(ctx.status);
+    return Promise.resolve({
+      data: [{fields: result.data[0].fields,
+              objects: result.data[0].objects.map(function(o) { return [o[0], o[1].toUpperCase()]; }),
+              urls: result.data[0].urls}],
+      results: result.results
+    });
+  }};
+  var kept = {response: function() { return undefined; }};
+  var clt = CuriousQ('/curious/q', http, null, true, {middleware: [upper, kept]});
+
+  return query.promise(clt).then(function(objects) {
+    assert.strictEqual(objects.experiments[0].name, 'A');
+    assert.deepStrictEqual(statuses, [200]);
+  });
+});
+
+test('failing middleware fails the query with a CuriousError', function() {
+  var http = server(experiments('a'));
+  var throwing = CuriousQ('/curious/q', http, null, true, {middleware: [{request: function() {
+    throw new Error('no token');
+  }}]});
+  var rejecting = CuriousQ('/curious/q', http, null, true, {middleware: [{response: function() {
+    return Promise.reject(new Error('bad result'));
+  }}]});
+
+  return query.promise(throwing).then(function() {
+    assert.fail('query resolved');
+  }, function(e) {
+    assert.ok(e instanceof CuriousError);
+    assert.strictEqual(e.message, 'Curious middleware failed: no token');
+    assert.strictEqual(http.requests.length, 0);
+    return query.promise(rejecting);
+  }).then(function() {
+    assert.fail('query resolved');
+  }, function(e) {
+    assert.ok(e instanceof CuriousError);
+    assert.strictEqual(e.message, 'Curious middleware failed: bad result');
+    assert.strictEqual(e.query, 'Experiment');
+  });
+});
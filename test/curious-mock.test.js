@@ -0,0 +1,90 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var curious = require('../index.js');
+
+var CuriousQ = curious.CuriousQ;
+var CuriousQuery = curious.CuriousQuery;
+var CuriousMockHttp = curious.CuriousMockHttp;
+
+var experiments = {
+  result: {
+    data: [{fields: ['id', 'name'], objects: [[1, 'First'], [2, 'Second']],
+            urls: ['/experiments/1', '/experiments/2']}],
+    results: [{model: 'Experiment', join_index: -1, objects: []}]
+  }
+};
+
+// a stand-in for the real server, for the recording
+function server() {
+  return CuriousMockHttp()
+    .respond('Experiment', experiments)
+    .respond('/experiments/1', function(args) { return {id: 1, name: args.name}; }, {method: 'PUT'});
+}
+
+// runs the query, then renames and saves the first experiment
+function run(http) {
+  var clt = CuriousQ('/curious/q', http, null, true);
+  return new CuriousQuery().start('Experiment', 'experiments').promise(clt).then(function(objects) {
+    var e = objects.experiments[0];
+    e.name = 'Renamed';
+    return clt.save(e).then(function() { return objects; });
+  });
+}
+
+function names(objects) {
+  return objects.experiments.map(function(e) { return e.name; });
+}
+
+test('replays what was recorded', function() {
+  var file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'curious-')), 'fixtures.json');
+  var recorder = CuriousMockHttp({mode: 'record', http: server()});
+
+  return run(recorder).then(function(recorded) {
+    recorder.save_fixtures_file(file);
+    var replayer = CuriousMockHttp({mode: 'replay'}).load_fixtures_file(file);
+
+    return run(replayer).then(function(replayed) {
+      assert.deepStrictEqual(names(replayed), names(recorded));
+      assert.deepStrictEqual(names(replayed), ['Renamed', 'Second']);
+      assert.deepStrictEqual(replayer.requests.map(function(r) { return r.method; }), ['POST', 'PUT']);
+      replayer.verify();
+      fs.rmSync(path.dirname(file), {recursive: true});
+    });
+  });
+});
+
+test('replay verification fails on requests without fixtures', function() {
+  var replayer = CuriousMockHttp({mode: 'replay'});
+  var clt = CuriousQ('/curious/q', replayer, null, true);
+
+  return new CuriousQuery().start('Experiment', 'experiments').promise(clt).then(function() {
+    assert.fail('query without a fixture succeeded');
+  }, function(e) {
+    assert.strictEqual(e.status, 404);
+    assert.throws(function() { replayer.verify(); }, /without a recorded fixture: query Experiment/);
+  });
+});
+
+test('replay verification fails on fixtures never requested', function() {
+  var recorder = CuriousMockHttp({mode: 'record', http: server()});
+
+  return run(recorder).then(function() {
+    var replayer = CuriousMockHttp({mode: 'replay', fixtures: recorder.fixtures()});
+    var clt = CuriousQ('/curious/q', replayer, null, true);
+    return new CuriousQuery().start('Experiment', 'experiments').promise(clt).then(function() {
+      assert.throws(function() { replayer.verify(); }, /never requested: PUT \/experiments\/1/);
+    });
+  });
+});
+
+test('saves through canned PUT responses', function() {
+  var http = server();
+  return run(http).then(function(objects) {
+    assert.strictEqual(objects.experiments[0].name, 'Renamed');
+    assert.deepStrictEqual(http.requests[1], {method: 'PUT', url: '/experiments/1',
+                                              args: {name: 'Renamed'}, headers: {}});
+  });
+});
@@ -0,0 +1,63 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var curious = require('../index.js');
+
+var CuriousQ = curious.CuriousQ;
+var CuriousQuery = curious.CuriousQuery;
+var CuriousModelRegistry = curious.CuriousModelRegistry;
+var CuriousMockHttp = curious.CuriousMockHttp;
+
+var response = {
+  result: {
+    data: [{fields: ['id'], objects: [[1]], urls: [null]},
+           {fields: ['id', 'name'], objects: [[10, 'water']], urls: [null]}],
+    results: [{model: 'Experiment', join_index: -1, objects: []},
+              {model: 'Reaction', join_index: 0, objects: [[10, 1]]}]
+  }
+};
+
+function Experiment() {}
+function Reaction() {}
+function SpecialReaction() {}
+
+var query = new CuriousQuery().start('Experiment', 'experiments').follow('Experiment.reaction_set', 'reactions');
+
+function client(models) {
+  var http = CuriousMockHttp().respond(query.query(), response);
+  return CuriousQ('/curious/q', http, null, true, {models: models});
+}
+
+test('objects of registered models are built with their classes', function() {
+  var clt = client({Experiment: Experiment});
+
+  clt.models.register_factory('Reaction', function(data, model) {
+    var r = new Reaction();
+    r.label = model+' '+data.name;
+    return r;
+  });
+  return query.promise(clt).then(function(objects) {
+    assert.ok(objects.experiments[0] instanceof Experiment);
+    assert.strictEqual(objects.experiments[0].id, 1);
+    assert.ok(objects.reactions[0] instanceof Reaction);
+    assert.strictEqual(objects.reactions[0].label, 'Reaction water');
+    assert.deepStrictEqual(objects.experiments[0].reactions, [objects.reactions[0]]);
+
+    clt.models.unregister('Experiment');
+    assert.strictEqual(clt.models.factory('Experiment'), null);
+  });
+});
+
+test('wrap_with and wrap_dynamically on the query take precedence', function() {
+  var models = new CuriousModelRegistry({Experiment: Experiment, Reaction: Reaction});
+  var clt = client(models);
+  var q = new CuriousQuery().start('Experiment', 'experiments')
+    .wrap_dynamically(function() { return {dynamic: true}; })
+    .follow('Experiment.reaction_set', 'reactions').wrap_with(SpecialReaction);
+
+  assert.strictEqual(clt.models, models);
+  return q.promise(clt).then(function(objects) {
+    assert.ok(!(objects.experiments[0] instanceof Experiment));
+    assert.strictEqual(objects.experiments[0].dynamic, true);
+    assert.ok(objects.reactions[0] instanceof SpecialReaction);
+  });
+});
@@ -0,0 +1,208 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var curious = require('../index.js');
+
+var CuriousQ = curious.CuriousQ;
+var CuriousQuery = curious.CuriousQuery;
+var CuriousOffline = curious.CuriousOffline;
+
+function experiments(name) {
+  return {
+    result: {
+      data: [{fields: ['id', 'name'], objects: [[1, name]], urls: ['/experiments/1']}],
+      results: [{model: 'Experiment', join_index: -1, objects: [[1, null]]}]
+    }
+  };
+}
+
+// A transport that answers every query with experiments(name), or, while
+// down, fails as if there were no network
+function network(name) {
+  var net = {name: name, down: false, requests: [], puts: []};
+
+  function request(answer) {
+    var cbs = {};
+    setTimeout(function() {
+      if (net.down) { if (cbs.error) { cbs.error({error: 'Network error'}, null); } }
+      else if (cbs.success) { cbs.success(answer(), 200); }
+    }, 0);
+    return {
+      success: function(cb) { cbs.success = cb; return this; },
+      error: function(cb) { cbs.error = cb; return this; },
+      abort: function() { return this; }
+    };
+  }
+
+  net.post = function(url, args) {
+    net.requests.push(args);
+    return request(function() { return experiments(net.name); });
+  };
+  net.put = function(url, data) {
+    net.puts.push([url, data]);
+    return request(function() { return data; });
+  };
+  return net;
+}
+
+function get(clt, q) {
+  return new Promise(function(resolve, reject) {
+    clt.get(q || 'Experiment(id=1)', ['experiments'], null, null, null,
+            function(objects, result) { resolve({objects: objects, result: result}); }, null, reject);
+  });
+}
+
+function delay(ms) {
+  return new Promise(function(resolve) { setTimeout(resolve, ms); });
+}
+
+test('stored responses answer requests the network cannot, marked offline', function() {
+  var net = network('Cloning');
+  var clt = CuriousQ('/curious/q', CuriousOffline(net), null, true);
+
+  return get(clt).then(function(r) {
+    assert.strictEqual(r.result.offline, undefined);
+    net.down = true;
+    net.name = 'Changed';
+    return get(clt);
+  }).then(function(r) {
+    assert.strictEqual(r.objects.experiments[0].name, 'Cloning');
+    assert.strictEqual(r.result.offline, true);
+    assert.strictEqual(typeof r.result.stored_at, 'number');
+    assert.ok(r.result.stored_at <= Date.now());
+  });
+});
+
+test('promise() callers see offline and stored_at on the objects', function() {
+  var net = network('Cloning');
+  var clt = CuriousQ('/curious/q', CuriousOffline(net), null, true);
+  var query = new CuriousQuery().start('Experiment(id=1)', 'experiments');
+  var union = query.or(new CuriousQuery().start('Experiment(id=2)', 'experiments'));
+
+  return query.promise(clt).then(function(objects) {
+    assert.strictEqual(objects.offline, undefined);
+    net.down = true;
+    return query.promise(clt);
+  }).then(function(objects) {
+    assert.strictEqual(objects.experiments[0].name, 'Cloning');
+    assert.strictEqual(objects.offline, true);
+    assert.strictEqual(typeof objects.stored_at, 'number');
+    assert.deepStrictEqual(Object.keys(objects), ['experiments']);
+    net.down = false;
+    return union.promise(clt);
+  }).then(function(objects) {
+    assert.strictEqual(objects.offline, undefined);
+    net.down = true;
+    return union.promise(clt);
+  }).then(function(objects) {
+    assert.strictEqual(objects.offline, true);
+    assert.strictEqual(typeof objects.stored_at, 'number');
+  });
+});
+
+test('responses older than max_age are not served', function() {
+  var net = network('Cloning');
+  var clt = CuriousQ('/curious/q', CuriousOffline(net, {max_age: 1}), null, true);
+
+  return get(clt).then(function() {
+    net.down = true;
+    return delay(10);
+  }).then(function() {
+    return get(clt);
+  }).then(function() {
+    assert.fail('request should have failed');
+  }, function(error) {
+    assert.strictEqual(error.message, 'Network error');
+  });
+});
+
+test('the oldest responses are removed beyond max_entries', function() {
+  var http = CuriousOffline(network('Cloning'), {max_entries: 2});
+  var clt = CuriousQ('/curious/q', http, null, true);
+
+  return get(clt, 'Experiment(id=1)').then(function() {
+    return delay(2);
+  }).then(function() {
+    return get(clt, 'Experiment(id=2)');
+  }).then(function() {
+    return delay(2);
+  }).then(function() {
+    return get(clt, 'Experiment(id=3)');
+  }).then(function() {
+    return delay(10);
+  }).then(function() {
+    return http.storage.keys();
+  }).then(function(keys) {
+    var queries = keys.join(' ');
+    assert.strictEqual(keys.length, 2);
+    assert.ok(queries.indexOf('Experiment(id=1)') < 0);
+    assert.ok(queries.indexOf('Experiment(id=3)') >= 0);
+  });
+});
+
+test('responses served from storage are fetched again once the network is back', function() {
+  var net = network('Cloning');
+  var revalidated = [];
+  var http = CuriousOffline(net, {on_revalidated: function(info) { revalidated.push(info); }});
+  var clt = CuriousQ('/curious/q', http, null, true);
+
+  return get(clt).then(function() {
+    net.down = true;
+    return get(clt);
+  }).then(function() {
+    assert.strictEqual(http.pending().length, 1);
+    assert.strictEqual(http.pending()[0].args.q, 'Experiment(id=1)');
+    net.down = false;
+    net.name = 'Cloning v2';
+    return http.revalidate();
+  }).then(function() {
+    http.stop();
+    assert.deepStrictEqual(http.pending(), []);
+    assert.strictEqual(revalidated.length, 1);
+    assert.strictEqual(revalidated[0].response.result.data[0].objects[0][1], 'Cloning v2');
+    net.down = true;
+    return get(clt);
+  }).then(function(r) {
+    assert.strictEqual(r.objects.experiments[0].name, 'Cloning v2');
+  });
+});
+
+test('file storage keeps responses for later runs', function() {
+  var file = path.join(os.tmpdir(), 'curious-offline-'+process.pid+'.json');
+  var net = network('Cloning');
+  var first = CuriousQ('/curious/q', CuriousOffline(net, {storage: CuriousOffline.file_storage(file)}), null, true);
+
+  return get(first).then(function() {
+    return delay(10);
+  }).then(function() {
+    var later = CuriousOffline(network('Other'), {storage: CuriousOffline.file_storage(file),
+                                                  is_offline: function() { return true; }});
+    return get(CuriousQ('/curious/q', later, null, true));
+  }).then(function(r) {
+    assert.strictEqual(r.objects.experiments[0].name, 'Cloning');
+    assert.strictEqual(r.result.offline, true);
+  }).finally(function() {
+    if (fs.existsSync(file)) { fs.unlinkSync(file); }
+  });
+});
+
+test('saves go straight to the transport and are not stored', function() {
+  var net = network('Cloning');
+  var http = CuriousOffline(net);
+  var clt = CuriousQ('/curious/q', http, null, true);
+  var q = new CuriousQuery().start('Experiment(id=1)', 'experiments');
+
+  return q.promise(clt).then(function(objects) {
+    objects.experiments[0].name = 'Renamed';
+    return clt.save(objects.experiments[0]);
+  }).then(function(saved) {
+    assert.strictEqual(saved.name, 'Renamed');
+    assert.strictEqual(net.puts.length, 1);
+    assert.strictEqual(net.puts[0][0], '/experiments/1');
+    return http.storage.keys();
+  }).then(function(keys) {
+    assert.strictEqual(keys.length, 1);
+  });
+});
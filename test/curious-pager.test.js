@@ -0,0 +1,133 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var curious = require('../index.js');
+
+var CuriousQ = curious.CuriousQ;
+var CuriousQuery = curious.CuriousQuery;
+
+var IDS = [1, 2, 3, 4, 5];
+
+// experiments from index start, limit of them, with extra result fields
+function page(start, limit, extra) {
+  var ids = IDS.slice(start, start+limit);
+  var result = {
+    data: [{fields: ['id'], objects: ids.map(function(id) { return [id]; }),
+            urls: ids.map(function(id) { return '/experiments/'+id; })}],
+    results: [{model: 'Experiment', join_index: -1, objects: []}]
+  };
+  for (var k in extra) { result[k] = extra[k]; }
+  return {result: result};
+}
+
+// A transport answering each query with respond(args), keeping the requests
+// sent; while fail(args) returns true, requests get a 503 instead
+function server(respond) {
+  var http = {requests: [], fail: null};
+  http.post = function(url, args) {
+    var cbs = {};
+    args = JSON.parse(JSON.stringify(args));
+    http.requests.push({args: args});
+    setTimeout(function() {
+      if (http.fail && http.fail(args)) { cbs.error({error: 'Busy'}, 503); }
+      else { cbs.success(respond(args), 200); }
+    }, 0);
+    return {
+      success: function(cb) { cbs.success = cb; return this; },
+      error: function(cb) { cbs.error = cb; return this; }
+    };
+  };
+  return http;
+}
+
+function ids(objects) {
+  return objects.map(function(o) { return o.id; });
+}
+
+var query = new CuriousQuery().start('Experiment', 'experiments');
+
+function offset_client() {
+  var http = server(function(args) { return page(args.offset, args.limit); });
+  return {http: http, clt: CuriousQ('/curious/q', http, null, true)};
+}
+
+test('offset paging stops at a short page and accumulates all objects', function() {
+  var c = offset_client();
+  var pager = query.paginate(c.clt, {page_size: 2});
+  var pages = [];
+
+  function next() {
+    return pager.next().then(function(r) {
+      if (r.done) { return; }
+      pages.push(r.value);
+      return next();
+    });
+  }
+
+  return next().then(function() {
+    assert.deepStrictEqual(pages.map(function(p) { return ids(p.objects.experiments); }), [[1, 2], [3, 4], [5]]);
+    assert.deepStrictEqual(pages.map(function(p) { return p.index; }), [0, 1, 2]);
+    assert.deepStrictEqual(ids(pages[2].all.experiments), [1, 2, 3, 4, 5]);
+    assert.ok(pages[0].tree);
+    assert.deepStrictEqual(c.http.requests.map(function(r) { return [r.args.limit, r.args.offset]; }),
+                           [[2, 0], [2, 2], [2, 4]]);
+  });
+});
+
+test('pagers are async iterables', async function() {
+  var c = offset_client();
+  var seen = [];
+  for await (var p of query.paginate(c.clt, {page_size: 2})) {
+    seen.push(ids(p.objects.experiments));
+  }
+  assert.deepStrictEqual(seen, [[1, 2], [3, 4], [5]]);
+});
+
+test('fetch_all resolves to the objects of all pages', function() {
+  var http = server(function(args) { return page(args.from, args.n); });
+  var clt = CuriousQ('/curious/q', http, null, true);
+
+  return query.paginate(clt, {page_size: 3, limit_param: 'n', offset_param: 'from'}).fetch_all()
+    .then(function(all) {
+      assert.deepStrictEqual(ids(all.experiments), [1, 2, 3, 4, 5]);
+      assert.deepStrictEqual(http.requests.map(function(r) { return [r.args.n, r.args.from]; }), [[3, 0], [3, 3]]);
+    });
+});
+
+test('cursor paging sends the cursor of the previous result', function() {
+  var http = server(function(args) {
+    var start = args.after === undefined ? 0 : IDS.indexOf(args.after)+1;
+    var next = start+2 < IDS.length ? IDS[start+1] : null;
+    return page(start, 2, {next: next});
+  });
+  var clt = CuriousQ('/curious/q', http, null, true);
+
+  return query.paginate(clt, {page_size: 2, cursor_param: 'after', cursor_field: 'next'}).fetch_all()
+    .then(function(all) {
+      assert.deepStrictEqual(ids(all.experiments), [1, 2, 3, 4, 5]);
+      assert.deepStrictEqual(http.requests.map(function(r) { return r.args.after; }), [undefined, 2, 4]);
+      assert.strictEqual(http.requests[0].args.offset, undefined);
+    });
+});
+
+test('a failed page can be asked for again', function() {
+  var c = offset_client();
+  var pager = query.paginate(c.clt, {page_size: 2});
+  var failed = false;
+
+  c.http.fail = function(args) {
+    if (failed || args.offset !== 2) { return false; }
+    failed = true;
+    return true;
+  };
+  return pager.next().then(function() {
+    return pager.next();
+  }).then(function() {
+    assert.fail('failed page resolved');
+  }, function(e) {
+    assert.strictEqual(e.status, 503);
+    return pager.fetch_all();
+  }).then(function(all) {
+    assert.deepStrictEqual(ids(all.experiments), [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(c.http.requests.map(function(r) { return r.args.offset; }), [0, 2, 2, 4]);
+  });
+});
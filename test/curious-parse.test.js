@@ -0,0 +1,91 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var curious = require('../index.js');
+
+var CuriousQuery = curious.CuriousQuery;
+
+function round_trip(s) {
+  assert.strictEqual(CuriousQuery.parse(s).query(), s);
+}
+
+test('parsed queries serialize back to the same string', function() {
+  var q = new CuriousQuery()
+    .start('Experiment(id=12)', 'experiment')
+    .follow('Experiment.reaction_set', 'reactions')
+    .having('Reaction.products(name="water")')
+    .not_having('Reaction.catalysts')
+    .with('Reaction.products', 'products')
+    .follow('Product.compound', 'compounds');
+
+  round_trip(q.query());
+  assert.deepStrictEqual(CuriousQuery.parse(q.query()).relationships,
+                         ['Experiment', 'reaction_set', 'products', 'compound']);
+  assert.deepStrictEqual(CuriousQuery.parse(q.query(), q.relationships).relationships, q.relationships);
+});
+
+test('commas separate joins, whitespace separates the rest', function() {
+  round_trip('Experiment(id=12), Experiment.reaction_set');
+  round_trip('Experiment(id=12) +(Experiment.reaction_set), Experiment.reaction_set');
+  round_trip('Experiment(id=12) ?(Experiment.reaction_set) Reaction.products');
+  assert.strictEqual(CuriousQuery.parse('  Experiment(id=12) ,\n Experiment.reaction_set ').query(),
+                     'Experiment(id=12), Experiment.reaction_set');
+});
+
+test('commas, brackets and quotes inside strings belong to the term', function() {
+  var q = CuriousQuery.parse('Experiment(name="a, b (c]", note=\'x) y\'), Experiment.reaction_set');
+  assert.strictEqual(q.terms.length, 2);
+  assert.strictEqual(q.terms[0].term, 'Experiment(name="a, b (c]", note=\'x) y\')');
+
+  q = CuriousQuery.parse('Experiment(name="say \\"hi\\", ok"){order_by("-id"), limit(2)}');
+  assert.strictEqual(q.terms.length, 1);
+  assert.deepStrictEqual(q.relationships, ['Experiment']);
+});
+
+test('recursive joins are named without their markers', function() {
+  assert.deepStrictEqual(CuriousQuery.parse('Step(id=1), Step.next_steps*, Step.reaction_set**(id__gt=1)')
+                           .relationships,
+                         ['Step', 'next_steps', 'reaction_set']);
+});
+
+test('errors give the position of the problem', function() {
+  function fails(s, message) {
+    assert.throws(function() { CuriousQuery.parse(s); }, function(e) {
+      assert.strictEqual(e, "Cannot parse query '"+s+"' at position "+message);
+      return true;
+    });
+  }
+
+  fails('Experiment(id=12) Experiment.reaction_set', "18: expected ',' before term");
+  fails('Experiment(id=12), ?(Experiment.reaction_set)', "19: unexpected ',' before term");
+  fails(', Experiment', "0: unexpected ','");
+  fails('Experiment,, Experiment.reaction_set', "11: unexpected ','");
+  fails('Experiment,', "11: unexpected ',' at end of query");
+  fails('Experiment(id=12))', "17: unexpected ')'");
+  fails('Experiment(id=[1, 2)', "19: unexpected ')'");
+  fails('Experiment(id=12', "0: missing ')'");
+  fails('Experiment(name="x)', "0: unterminated string");
+  fails('Experiment ?( )', "11: empty ?() term");
+  assert.throws(function() { CuriousQuery.parse(' '); }, /query is empty/);
+});
+
+test('each join within a ?() term gets a relationship', function() {
+  var inner = new CuriousQuery().start('Experiment.reaction_set', 'r').follow('Reaction.products', 'p');
+  var q = new CuriousQuery().start('Experiment(id=1)', 'e').with(inner);
+  var parsed = CuriousQuery.parse(q.query());
+
+  assert.deepStrictEqual(q.relationships, ['e', 'r', 'p']);
+  assert.strictEqual(parsed.query(), q.query());
+  assert.deepStrictEqual(parsed.relationships, ['Experiment', 'reaction_set', 'products']);
+  assert.deepStrictEqual(parsed.explain(), q.explain().map(function(t, i) {
+    return {term: t.term, kind: t.kind, relationships: [['Experiment'], ['reaction_set', 'products']][i]};
+  }));
+  assert.deepStrictEqual(CuriousQuery.parse(q.query(), q.relationships).relationships, ['e', 'r', 'p']);
+  assert.deepStrictEqual(CuriousQuery.parse(q.query() + ' Product.compound', ['e', 'r']).relationships,
+                         ['e', 'r', 'products', 'compound']);
+});
+
+test('errors within ?() terms give their position in the whole query', function() {
+  var s = 'Experiment(id=1) ?(Experiment.reaction_set Reaction.products)';
+  assert.throws(function() { CuriousQuery.parse(s); },
+                new RegExp("at position 43: expected ',' before term$"));
+});
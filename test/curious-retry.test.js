@@ -0,0 +1,104 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+// runs the given files as script tags would, in a page with only window
+function page(files) {
+  var window = {};
+  window.window = window;
+  vm.createContext(window);
+  files.forEach(function(f) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', f), 'utf8'), window, {filename: f});
+  });
+  return window;
+}
+
+test('curious-xhr.js loads on its own, and needs curious-retry.js only to retry', function() {
+  var window = page(['curious-xhr.js']);
+  assert.strictEqual(typeof window.CuriousXhr.post, 'function');
+
+  window = page(['curious-xhr.js', 'curious2.js']);
+  assert.throws(function() { window.CuriousXhr.with_retry({}); }, /Load curious-retry.js to retry requests/);
+});
+
+test('curious-xhr.js retries with curious-retry.js loaded', function() {
+  var window = page(['curious-xhr.js', 'curious2.js', 'curious-retry.js']);
+  assert.strictEqual(typeof window.CuriousXhr.with_retry({}).post, 'function');
+});
+
+var CuriousRetry = require('../curious-retry.js').CuriousRetry;
+
+test('delays double from base_delay up to max_delay', function() {
+  var retry = new CuriousRetry({base_delay: 100, max_delay: 500, jitter: false});
+  assert.deepStrictEqual([1, 2, 3, 4, 5].map(function(a) { return retry.delay(a); }),
+                         [100, 200, 400, 500, 500]);
+});
+
+test('jitter picks a delay below the backoff delay with random', function() {
+  var retry = new CuriousRetry({base_delay: 100, random: function() { return 0.5; }});
+  assert.strictEqual(retry.delay(1), 50);
+  assert.strictEqual(retry.delay(3), 200);
+});
+
+test('Retry-After in seconds replaces the backoff delay, up to max_delay', function() {
+  var retry = new CuriousRetry({base_delay: 100, max_delay: 5000, jitter: false});
+  assert.strictEqual(retry.delay(1, '2'), 2000);
+  assert.strictEqual(retry.delay(1, '60'), 5000);
+  assert.strictEqual(retry.delay(1, 'soon'), 100);
+  assert.strictEqual(new CuriousRetry({base_delay: 100, jitter: false, respect_retry_after: false})
+                       .delay(1, '2'), 100);
+});
+
+test('Retry-After as an HTTP date waits until then, up to max_delay', function() {
+  var retry = new CuriousRetry({base_delay: 100, max_delay: 5000, jitter: false});
+  var later = new Date((new Date()).getTime() + 3000).toUTCString();
+  var delay = retry.delay(1, later);
+  assert.ok(delay > 1000 && delay <= 3000, 'delay '+delay);
+  assert.strictEqual(retry.delay(1, 'Wed, 21 Oct 2015 07:28:00 GMT'), 0);
+  assert.strictEqual(retry.delay(1, 'Fri, 01 Jan 2100 00:00:00 GMT'), 5000);
+});
+
+test('run retries retryable failures and reports each retry to on_retry', function() {
+  var retries = [];
+  var retry = new CuriousRetry({base_delay: 1, jitter: false,
+                                on_retry: function(r) { retries.push(r); }});
+  var responses = [[false, 'busy', 503], [false, 'busy', 503, '0'], [true, {result: 1}, 200]];
+  var attempts = 0;
+
+  return new Promise(function(resolve) {
+    retry.run(function(done) {
+      done.apply(null, responses[attempts++]);
+      return {abort: function() {}};
+    }, function(ok, response, status) { resolve([ok, response, status]); });
+  }).then(function(last) {
+    assert.deepStrictEqual(last, [true, {result: 1}, 200]);
+    assert.strictEqual(attempts, 3);
+    assert.deepStrictEqual(retries, [{attempt: 2, delay: 1, status: 503, response: 'busy'},
+                                     {attempt: 3, delay: 0, status: 503, response: 'busy'}]);
+  });
+});
+
+test('run gives up after max_attempts and on statuses not worth retrying', function() {
+  var retry = new CuriousRetry({max_attempts: 2, base_delay: 1, jitter: false});
+
+  function attempts_for(status) {
+    var attempts = 0;
+    return new Promise(function(resolve) {
+      retry.run(function(done) {
+        attempts++;
+        done(false, null, status);
+        return {abort: function() {}};
+      }, function(ok, response, s) {
+        assert.strictEqual(ok, false);
+        assert.strictEqual(s, status);
+        resolve(attempts);
+      });
+    });
+  }
+
+  return Promise.all([attempts_for(503), attempts_for(404), attempts_for(0)]).then(function(attempts) {
+    assert.deepStrictEqual(attempts, [2, 1, 2]);
+  });
+});
@@ -0,0 +1,109 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var curious = require('../index.js');
+
+var CuriousQ = curious.CuriousQ;
+var CuriousQuery = curious.CuriousQuery;
+var CuriousMockHttp = curious.CuriousMockHttp;
+
+var reactions = {
+  result: {
+    data: [
+      {fields: ['id', 'name'], objects: [[1, 'Cloning']], urls: ['/experiments/1']},
+      {fields: ['id', 'created', 'yield', 'done', 'experiment_id'],
+       objects: [[10, '2016-03-02T17:41:03Z', '0.75', 1, 1]], urls: ['/reactions/10']}
+    ],
+    results: [
+      {model: 'Experiment', join_index: -1, objects: [[1, null]]},
+      {model: 'Reaction', join_index: 0, objects: [[10, 1]]}
+    ]
+  }
+};
+
+var reaction_fields = {
+  created: 'datetime',
+  yield: 'decimal',
+  done: 'boolean',
+  experiment_id: {type: 'fk', model: 'Experiment'}
+};
+
+function query() {
+  return new CuriousQuery().start('Experiment(id=1)', 'experiments').follow('Experiment.reactions', 'reactions');
+}
+
+function with_yield(value) {
+  var r = JSON.parse(JSON.stringify(reactions));
+  r.result.data[1].objects[0][2] = value;
+  return r;
+}
+
+test('field values are converted to their schema types', function() {
+  var http = CuriousMockHttp().respond(/reactions/, reactions);
+  var clt = CuriousQ('/curious/q', http, null, true);
+  clt.schemas.register('Reaction', reaction_fields);
+
+  return query().promise(clt).then(function(objects) {
+    var reaction = objects.reactions[0];
+    assert.ok(reaction.created instanceof Date);
+    assert.strictEqual(reaction.created.getTime(), Date.UTC(2016, 2, 2, 17, 41, 3));
+    assert.strictEqual(reaction.yield, 0.75);
+    assert.strictEqual(reaction.done, true);
+    assert.strictEqual(reaction.experiment_id, 1);
+    assert.strictEqual(reaction.experiment, undefined);
+  });
+});
+
+test('values that cannot be converted are kept, with a warning through the client\'s warn', function() {
+  var http = CuriousMockHttp().respond(/reactions/, with_yield('lots'));
+  var warnings = [];
+  var clt = CuriousQ('/curious/q', http, null, true, {warn: function(msg) { warnings.push(msg); }});
+  clt.schemas.register('Reaction', reaction_fields);
+
+  return query().promise(clt).then(function(objects) {
+    assert.strictEqual(objects.reactions[0].yield, 'lots');
+    assert.deepStrictEqual(warnings, ['Curious: Reaction.yield: "lots" is not a valid decimal']);
+  });
+});
+
+test('strict schemas fail the query on values that cannot be converted', function() {
+  var http = CuriousMockHttp().respond(/reactions/, with_yield('lots'));
+  var clt = CuriousQ('/curious/q', http, null, true, {schemas: {strict: true}});
+  clt.schemas.register('Reaction', reaction_fields);
+
+  return query().promise(clt).then(function() {
+    assert.fail('query should have failed');
+  }, function(error) {
+    assert.ok(error instanceof curious.CuriousError);
+    assert.match(error.message, /Reaction\.yield: "lots" is not a valid decimal/);
+  });
+});
+
+test('fk fields resolve to objects loaded in the same response', function() {
+  var http = CuriousMockHttp().respond(/reactions/, reactions);
+  var clt = CuriousQ('/curious/q', http, null, true, {schemas: {resolve_fks: true}});
+  clt.schemas.register('Reaction', reaction_fields);
+
+  return query().promise(clt).then(function(objects) {
+    assert.strictEqual(objects.reactions[0].experiment, objects.experiments[0]);
+    assert.strictEqual(objects.reactions[0].experiment_id, 1);
+  });
+});
+
+test('queries answered while a schema is loading wait for it', function() {
+  var http = CuriousMockHttp().respond(/reactions/, reactions);
+  var asked = [];
+  var answer;
+  var loader = function(models) {
+    asked.push(models);
+    return new Promise(function(resolve) { answer = resolve; });
+  };
+  var clt = CuriousQ('/curious/q', http, null, true, {schemas: {loader: loader}});
+  var both = Promise.all([query().promise(clt), query().promise(clt)]);
+
+  setTimeout(function() { answer({Reaction: reaction_fields}); }, 20);
+  return both.then(function(results) {
+    assert.deepStrictEqual(asked, [['Experiment', 'Reaction']]);
+    assert.strictEqual(results[0].reactions[0].yield, 0.75);
+    assert.strictEqual(results[1].reactions[0].yield, 0.75);
+  });
+});
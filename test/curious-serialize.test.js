@@ -0,0 +1,108 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var curious = require('../index.js');
+
+var CuriousQ = curious.CuriousQ;
+var CuriousQuery = curious.CuriousQuery;
+var CuriousObjects = curious.CuriousObjects;
+var CuriousMockHttp = curious.CuriousMockHttp;
+
+// Experiment.reactions then Reaction.experiment, so experiments come twice
+var response = {
+  result: {
+    data: [
+      {fields: ['id', 'name', 'created'], objects: [[1, 'Cloning', '2016-03-02T17:41:03.000Z']],
+       urls: ['/experiments/1']},
+      {fields: ['id', 'name', 'experiment_id'], objects: [[10, 'Digest', 1], [11, 'Ligate', 1]],
+       urls: ['/reactions/10', '/reactions/11']},
+      {fields: ['id', 'name', 'created'], objects: [[1, 'Cloning', '2016-03-02T17:41:03.000Z']],
+       urls: ['/experiments/1']}
+    ],
+    results: [
+      {model: 'Experiment', join_index: -1, objects: [[1, null]]},
+      {model: 'Reaction', join_index: 0, objects: [[10, 1], [11, 1]]},
+      {model: 'Experiment', join_index: 1, objects: [[1, 10], [1, 11]]}
+    ]
+  }
+};
+
+function query() {
+  return new CuriousQuery().start('Experiment(id=1)', 'experiments')
+                           .follow('Experiment.reactions', 'reactions')
+                           .follow('Reaction.experiment', 'experiments');
+}
+
+function client(options) {
+  return CuriousQ('/curious/q', CuriousMockHttp().respond(/Reaction\.experiment/, response), null, true, options);
+}
+
+// serialized, through JSON as when stored
+function round_trip(q, objects, trees) {
+  return JSON.parse(JSON.stringify(CuriousObjects.serialize(q.relationships, objects, trees)));
+}
+
+function ids(objects) {
+  return objects.map(function(obj) { return obj.id; });
+}
+
+test('rehydrating a serialized graph rebuilds its objects, repeated relationships and joins', function() {
+  var q = query();
+  var clt = client();
+
+  return q.promise(clt).then(function(objects) {
+    var serialized = round_trip(q, objects);
+    var r = clt.rehydrate(serialized, q);
+
+    assert.deepStrictEqual(Object.keys(r.objects), ['experiments', 'reactions', 'experiments_2']);
+    assert.deepStrictEqual(serialized.result.results.slice(1), response.result.results.slice(1));
+    assert.deepStrictEqual(ids(r.objects.experiments[0].reactions), [10, 11]);
+    assert.deepStrictEqual(ids(r.objects.reactions[1].experiments), [1]);
+    assert.strictEqual(r.objects.reactions[1].experiments[0], r.objects.experiments_2[0]);
+    assert.strictEqual(r.objects.reactions[0].name, 'Digest');
+  });
+});
+
+test('without recorded joins, subqueries are joined through their relationships', function() {
+  var q = query();
+
+  return q.promise(client()).then(function(objects) {
+    var copy = {};
+    for (var k in objects) { copy[k] = objects[k]; }
+    assert.strictEqual(copy.__joins, undefined);
+    assert.deepStrictEqual(round_trip(q, copy).result.results.slice(1), response.result.results.slice(1));
+  });
+});
+
+test('changed fields are still changed after rehydrating', function() {
+  var q = query();
+  var clt = client();
+
+  return q.promise(clt).then(function(objects) {
+    objects.reactions[0].name = 'Double digest';
+    var r = clt.rehydrate(round_trip(q, objects), q);
+    var reaction = r.objects.reactions[0];
+
+    assert.strictEqual(reaction.name, 'Double digest');
+    assert.ok(CuriousObjects.is_dirty(reaction));
+    assert.deepStrictEqual(CuriousObjects.changes(reaction), {name: 'Double digest'});
+    assert.strictEqual(CuriousObjects.original(reaction).name, 'Digest');
+    assert.ok(!CuriousObjects.is_dirty(r.objects.reactions[1]));
+  });
+});
+
+test('Date fields come back as Dates only with a schema for them', function() {
+  var q = query();
+  var typed = client();
+  typed.schemas.register('Experiment', {created: 'datetime'});
+
+  return q.promise(typed).then(function(objects) {
+    var serialized = round_trip(q, objects);
+    var created = objects.experiments[0].created;
+
+    assert.ok(created instanceof Date);
+    assert.strictEqual(typed.rehydrate(serialized, q).objects.experiments[0].created.getTime(),
+                       created.getTime());
+    assert.strictEqual(client().rehydrate(serialized, q).objects.experiments[0].created,
+                       '2016-03-02T17:41:03.000Z');
+  });
+});
@@ -0,0 +1,46 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var curious = require('../index.js');
+var recursive = require('./fixtures/recursive-query.json');
+
+var CuriousQ = curious.CuriousQ;
+var CuriousQuery = curious.CuriousQuery;
+var CuriousMockHttp = curious.CuriousMockHttp;
+
+function steps_tree(response) {
+  var http = CuriousMockHttp().respond(/Step\.next_steps\*/, response);
+  var clt = CuriousQ('/curious/q', http, null, true);
+  var q = new CuriousQuery().start('Experiment(id=1)', 'experiments').follow('Step.next_steps*', 'steps');
+  return q.tree(clt);
+}
+
+function ids(nodes) {
+  return nodes.map(function(node) { return node.object.id; });
+}
+
+test('objects of a recursive subquery are nested as the server tree says', function() {
+  return steps_tree(recursive).then(function(tree) {
+    assert.deepStrictEqual(ids(tree.roots), [1]);
+    assert.deepStrictEqual(ids(tree.roots[0].child_nodes('steps')), [10, 14]);
+    assert.deepStrictEqual(ids(tree.find('steps')), [10, 14]);
+    assert.deepStrictEqual(ids(tree.find('steps.steps')), [11, 13]);
+    assert.deepStrictEqual(tree.raw, [null, recursive.result.results[1].tree]);
+  });
+});
+
+test('a step shared by two parents is expanded once, under the first reached', function() {
+  return steps_tree(recursive).then(function(tree) {
+    var twelve = tree.roots[0].depth_first().filter(function(node) { return node.object.id === 12; });
+    assert.strictEqual(twelve.length, 1);
+    assert.deepStrictEqual(ids(twelve[0].ancestors()), [11, 10, 1]);
+    assert.deepStrictEqual(ids(tree.find('steps.steps.steps')), [12]);
+  });
+});
+
+test('cycles in the server tree end at the first repeat, and steps not in it hang off their experiment', function() {
+  var response = JSON.parse(JSON.stringify(recursive));
+  response.result.results[1].tree = [[10, [[11, [[10, [[11, []]]]]]]], [14, []]];
+  return steps_tree(response).then(function(tree) {
+    assert.deepStrictEqual(ids(tree.roots[0].depth_first()), [1, 10, 11, 12, 13, 14]);
+  });
+});
@@ -0,0 +1,97 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var curious = require('../index.js');
+
+var CuriousObjects = curious.CuriousObjects;
+var CuriousQ = curious.CuriousQ;
+var CuriousQuery = curious.CuriousQuery;
+var CuriousMockHttp = curious.CuriousMockHttp;
+
+function result() {
+  return {
+    computed_on: '2020-01-01',
+    data: [
+      {fields: ['id', 'name'], objects: [[1, 'a'], [2, 'b']], urls: ['/experiments/1', '/experiments/2']},
+      {fields: ['id'], objects: [[10], [11]], urls: ['/reactions/10', '/reactions/11']}
+    ],
+    results: [
+      {model: 'Experiment', join_index: -1, objects: []},
+      {model: 'Reaction', join_index: 0, objects: [[10, 1], [11, 2]]}
+    ]
+  };
+}
+
+function broken() {
+  var r = result();
+  r.data[0].objects[1] = [2];
+  r.results[1].objects[0] = [10];
+  return r;
+}
+
+test('valid results are returned as they are', function() {
+  var r = result();
+  assert.strictEqual(CuriousObjects.validate(['experiments', 'reactions'], r, true), r);
+  assert.strictEqual(CuriousObjects.validate(['experiments', 'reactions'], r, false), r);
+});
+
+test('lenient validation leaves bad rows out of a copy and warns about them', function() {
+  var warnings = [];
+  var r = broken();
+  var cleaned = CuriousObjects.validate(['experiments', 'reactions'], r, false,
+                                        function(m) { warnings.push(m); });
+
+  assert.notStrictEqual(cleaned, r);
+  assert.strictEqual(cleaned.computed_on, '2020-01-01');
+  assert.deepStrictEqual(cleaned.data[0].objects, [[1, 'a']]);
+  assert.deepStrictEqual(cleaned.data[0].urls, ['/experiments/1']);
+  assert.deepStrictEqual(cleaned.results[1].objects, [[11, 2]]);
+  assert.deepStrictEqual(r, broken());
+  assert.deepStrictEqual(warnings, [
+    "Curious: subquery 0 ('experiments'): object row 1 has 1 values for 2 fields",
+    "Curious: subquery 1 ('reactions'): join tuple 0 is not an [object id, source id] pair"
+  ]);
+});
+
+test('strict validation throws with every problem', function() {
+  assert.throws(function() { CuriousObjects.validate(['experiments', 'reactions'], broken(), true); },
+                function(e) {
+                  assert.strictEqual(e.problems.length, 2);
+                  assert.match(e.message, /^invalid result: subquery 0 \('experiments'\): object row 1/);
+                  return true;
+                });
+});
+
+test('problems with the result as a whole throw in lenient mode too', function() {
+  var r = result();
+  r.data[1].fields = ['name'];
+  r.data[1].objects = [['x'], ['y']];
+
+  assert.throws(function() { CuriousObjects.validate(['experiments'], result(), false); },
+                /query has 1 relationships but result has 2 subqueries/);
+  assert.throws(function() { CuriousObjects.validate(['experiments', 'reactions'], r, false); },
+                /subquery 1 \('reactions'\): fields do not include id/);
+  assert.throws(function() { CuriousObjects.validate(null, {data: []}, false); },
+                /result must have data and results arrays/);
+});
+
+test('the client validates leniently by default, strictly or not at all', function() {
+  var q = new CuriousQuery().start('Experiment', 'experiments').follow('Experiment.reaction_set', 'reactions');
+  var http = CuriousMockHttp().respond(/^Experiment/, function() { return {result: broken()}; });
+  var warnings = [];
+  var lenient = CuriousQ('/curious/q', http, null, true, {warn: function(m) { warnings.push(m); }});
+  var strict = CuriousQ('/curious/q', http, null, true, {validation: 'strict'});
+  var none = CuriousQ('/curious/q', http, null, true, {validation: false});
+
+  return q.promise(lenient).then(function(objects) {
+    assert.deepStrictEqual(objects.experiments.map(function(o) { return o.id; }), [1]);
+    assert.strictEqual(warnings.length, 2);
+    return q.promise(strict).then(function() { assert.fail('strict query resolved'); }, function(e) {
+      assert.match(e.message, /^Cannot parse Curious response: invalid result/);
+      assert.strictEqual(e.problems.length, 2);
+    });
+  }).then(function() {
+    return q.promise(none);
+  }).then(function(objects) {
+    assert.strictEqual(objects.experiments.length, 2);
+  });
+});
@@ -0,0 +1,86 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var curious = require('../index.js');
+
+var CuriousQ = curious.CuriousQ;
+var CuriousQuery = curious.CuriousQuery;
+var CuriousMockHttp = curious.CuriousMockHttp;
+
+function experiments(rows) {
+  return {
+    result: {
+      data: [{fields: ['id', 'name'], objects: rows, urls: rows.map(function(r) { return '/experiments/'+r[0]; })}],
+      results: [{model: 'Experiment', join_index: -1, objects: rows.map(function(r) { return [r[0], null]; })}]
+    }
+  };
+}
+
+function names(objects) {
+  return objects.map(function(obj) { return obj.name; }).sort();
+}
+
+test('each run reports the objects added, removed and changed since the last', function() {
+  var rows = [[1, 'Cloning'], [2, 'Digest']];
+  var http = CuriousMockHttp().respond('Experiment', function() { return experiments(rows); });
+  var clt = CuriousQ('/curious/q', http, null, true);
+  var events = {added: [], removed: [], changed: []};
+  var watch = new CuriousQuery().start('Experiment', 'experiments').watch(clt);
+  var first;
+
+  watch.on('added', function(obj) { events.added.push(obj); });
+  watch.on('removed', function(obj) { events.removed.push(obj); });
+  watch.on('changed', function(obj, previous) { events.changed.push([obj, previous]); });
+
+  return watch.running.then(function(objects) {
+    first = objects.experiments[0];
+    assert.deepStrictEqual(names(events.added), ['Cloning', 'Digest']);
+    events = {added: [], removed: [], changed: []};
+    rows = [[1, 'Cloning v2'], [3, 'Gel']];
+    return watch.refresh();
+  }).then(function(objects) {
+    watch.stop();
+    assert.deepStrictEqual(names(events.added), ['Gel']);
+    assert.deepStrictEqual(names(events.removed), ['Digest']);
+    assert.strictEqual(events.changed.length, 1);
+    assert.strictEqual(events.changed[0][0], first);
+    assert.deepStrictEqual(events.changed[0][1], {name: 'Cloning'});
+    assert.strictEqual(objects.experiments[0], first);
+    assert.strictEqual(first.name, 'Cloning v2');
+  });
+});
+
+test('stop() aborts the run in progress', function() {
+  var aborted = false;
+  var http = {
+    post: function() {
+      return {
+        success: function() { return this; },
+        error: function() { return this; },
+        abort: function() { aborted = true; }
+      };
+    }
+  };
+  var clt = CuriousQ('/curious/q', http, null, true);
+  var errors = [];
+  var watch = new CuriousQuery().start('Experiment', 'experiments').watch(clt);
+  var run = watch.running;
+
+  watch.on('error', function(error) { errors.push(error); });
+  watch.stop();
+  return run.then(function() {
+    assert.strictEqual(aborted, true);
+    assert.deepStrictEqual(errors, []);
+  });
+});
+
+test('failed runs without error listeners go to the client\'s warn', function() {
+  var http = CuriousMockHttp().respond('Experiment', {error: 'Broken'}, {status: 500});
+  var warnings = [];
+  var clt = CuriousQ('/curious/q', http, null, true, {warn: function(msg) { warnings.push(msg); }});
+  var watch = new CuriousQuery().start('Experiment', 'experiments').watch(clt);
+
+  return watch.running.then(function() {
+    watch.stop();
+    assert.deepStrictEqual(warnings, ['Curious: watched query failed: Broken']);
+  });
+});